@@ -3,47 +3,767 @@
  * Handles CORS proxying for Does The Dog Die API requests
  */
 
-// Open settings page when extension icon is clicked
-chrome.action.onClicked.addListener(() => {
-  chrome.runtime.openOptionsPage();
+// Chrome runs this as a service worker; Firefox runs it as an event page with
+// the shared scripts listed ahead of it in its manifest
+if (typeof importScripts === 'function') {
+  importScripts('browser-api.js', 'settings-schema.js', 'warnings.js');
+}
+
+// =============================================================================
+// CONFIGURATION - Modify these values to adjust request and caching behavior
+// =============================================================================
+
+// Request queue
+const REQUEST_CONCURRENCY = 4; // Requests in flight at the same time
+const REQUEST_MIN_INTERVAL_MS = 250; // Minimum gap between requests to the same host
+const REQUEST_TIMEOUT_MS = 15_000; // Abort requests that take longer than this
+
+// Retries with exponential backoff (network errors, timeouts, 429 and 5xx)
+const REQUEST_MAX_RETRIES = 3;
+const REQUEST_BACKOFF_BASE_MS = 1000; // Doubled on each retry, plus jitter
+const REQUEST_BACKOFF_MAX_MS = 30_000; // Also caps Retry-After
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How long a cached response is considered fresh, per endpoint type
+const CACHE_TTL_MS = {
+  search: 7 * DAY_MS, // /dddsearch - film to DTDD media lookups rarely change
+  media: 1 * DAY_MS, // /media/{id} - vote counts change as users vote
+  categories: 7 * DAY_MS, // /categories - topic list used by the settings page
+};
+
+// Stale responses are served instantly (and refreshed in the background) until
+// this age; older entries are refetched first and only used if DTDD is unreachable
+const CACHE_MAX_STALE_MS = 30 * DAY_MS;
+
+// Size limits - least recently used entries are evicted first
+const CACHE_MAX_ENTRIES = 1000;
+const CACHE_MAX_BYTES = 4 * 1024 * 1024; // chrome.storage.local allows 10MB
+
+// Cache hits are saved to the index together, at most this often
+const CACHE_ACCESS_SAVE_DELAY_MS = 5000;
+
+// Toolbar badge for the film open in each tab
+const BADGE_COLORS = {
+  confirmed: '#00a83a', // Count of confirmed pinned topics
+  sensitive: '#d42b2b', // "!" for a confirmed sensitive or dealbreaker pinned topic
+  neutral: '#678', // No DTDD match, or the warnings couldn't be loaded
+};
+
+// =============================================================================
+// INTERNAL CONSTANTS - Generally don't need modification
+// =============================================================================
+
+const CACHE_KEY_PREFIX = 'dtdd-cache:';
+const CACHE_INDEX_KEY = 'dtdd-cache-index';
+const { DTDD_MEDIA_API, DTDD_VOTE_API } = DtddSettings;
+
+// Settings profiles: the active profile's settings live in the usual top-level
+// sync keys, so readers don't need to know about profiles; the others are
+// stored in `dtdd-profiles` until switched to
+const { STORAGE_KEYS, PROFILE_SETTING_KEYS, DEFAULT_PROFILE_ID, DEFAULTS } =
+  DtddSettings;
+const DEFAULT_PROFILE_NAME = 'Default';
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+// Error codes sent back as `errorCode` so callers can explain what went wrong
+const ERROR_CODE = {
+  NETWORK: 'network', // DTDD unreachable
+  TIMEOUT: 'timeout', // No response within REQUEST_TIMEOUT_MS
+  AUTH: 'auth', // 401/403 - missing or rejected API key
+  RATE_LIMITED: 'rate-limited', // 429 after all retries
+  NOT_FOUND: 'not-found', // 404
+  SERVER: 'server', // 5xx after all retries
+  HTTP: 'http', // Any other unsuccessful status
+  INVALID_RESPONSE: 'invalid-response', // Body wasn't JSON
+};
+
+class DtddRequestError extends Error {
+  constructor(code, message, status = null) {
+    super(message);
+    this.name = 'DtddRequestError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Upgrade settings saved by older versions of the extension
+DtddBrowser.runtime.onInstalled.addListener(() => {
+  DtddSettings.migrateStoredSettings().catch((e) =>
+    console.error('[DTDD] Settings migration failed:', e),
+  );
 });
 
-chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
+DtddBrowser.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.name === 'OPEN_OPTIONS') {
-    chrome.runtime.openOptionsPage();
+    DtddBrowser.runtime.openOptionsPage();
     return false;
   }
 
+  if (msg.name === 'DTDD_TAB_SUMMARY') {
+    if (sender.tab?.id !== undefined) {
+      updateBadge(sender.tab.id, msg.summary).catch((e) =>
+        console.error('[DTDD] Failed to update badge:', e),
+      );
+    }
+    return false;
+  }
+
+  if (msg.name === 'DTDD_CACHE_STATS') {
+    getCacheStats().then(sendResponse);
+    return true;
+  }
+
+  if (msg.name === 'DTDD_CACHE_CLEAR') {
+    clearCache().then(() => sendResponse({ error: null }));
+    return true;
+  }
+
+  if (msg.name === 'DTDD_VOTE') {
+    submitVote(msg)
+      .then(() => sendResponse({ error: null, errorCode: null }))
+      .catch((e) =>
+        sendResponse({ error: e.message, errorCode: getErrorCode(e) }),
+      );
+    return true;
+  }
+
+  if (msg.name === 'DTDD_PROFILE') {
+    handleProfileMessage(msg)
+      .then((data) => sendResponse({ error: null, data }))
+      .catch((e) => sendResponse({ error: e.message, data: null }));
+    return true;
+  }
+
   if (msg.name !== 'DTDD_FETCH') {
     return false;
   }
 
   (async () => {
     try {
-      const headers = { Accept: 'application/json' };
+      const data = await cachedFetchJson(msg.url);
+      sendResponse({ error: null, errorCode: null, data });
+    } catch (e) {
+      sendResponse({
+        error: e.message,
+        errorCode: getErrorCode(e),
+        data: null,
+      });
+    }
+  })();
 
-      // Add API key if configured
-      const data = await chrome.storage.sync.get('dtdd-key');
-      if (data['dtdd-key']) {
-        headers['X-API-KEY'] = data['dtdd-key'];
-      }
+  return true;
+});
+
+// Tab badges are per page; the new page's content script reports its own
+DtddBrowser.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.status !== 'loading') return;
+  updateBadge(tabId, { state: 'none' }).catch(() => {});
+});
+
+/**
+ * Badge text, colour and tooltip for a film panel summary sent by a tab
+ */
+function getBadge(summary) {
+  const defaultTitle = DtddBrowser.runtime.getManifest().action.default_title;
 
-      const response = await fetch(msg.url, {
-        method: 'GET',
-        headers,
+  if (summary.state === 'not-found' || summary.state === 'unreadable') {
+    return {
+      text: '–',
+      color: BADGE_COLORS.neutral,
+      title: 'No Does The Dog Die match for this film',
+    };
+  }
+  if (summary.state === 'error') {
+    return {
+      text: '?',
+      color: BADGE_COLORS.neutral,
+      title: "Couldn't load warnings for this film",
+    };
+  }
+  if (summary.state !== 'loaded') {
+    return { text: '', color: BADGE_COLORS.neutral, title: defaultTitle };
+  }
+
+  const confirmed = summary.pinned.filter(
+    (t) => t.category === DtddWarnings.WARNING_CATEGORY.YES,
+  );
+  const names = confirmed.map((t) => t.name).join(', ');
+  if (confirmed.some((t) => t.isSensitive || t.isDealbreaker)) {
+    return {
+      text: '!',
+      color: BADGE_COLORS.sensitive,
+      title: `Confirmed: ${names}`,
+    };
+  }
+  return {
+    text: confirmed.length > 0 ? String(confirmed.length) : '',
+    color: BADGE_COLORS.confirmed,
+    title:
+      confirmed.length > 0
+        ? `Confirmed: ${names}`
+        : 'None of your pinned warnings are confirmed',
+  };
+}
+
+async function updateBadge(tabId, summary) {
+  const { text, color, title } = getBadge(summary);
+  await Promise.all([
+    DtddBrowser.action.setBadgeText({ tabId, text }),
+    DtddBrowser.action.setBadgeBackgroundColor({ tabId, color }),
+    DtddBrowser.action.setTitle({ tabId, title }),
+  ]);
+}
+
+/**
+ * Fetch JSON from the DTDD API
+ */
+async function fetchJson(url) {
+  const headers = { Accept: 'application/json' };
+
+  // Add API key if configured
+  const data = await DtddBrowser.storage.sync.get(STORAGE_KEYS.API_KEY);
+  if (data[STORAGE_KEYS.API_KEY]) {
+    headers['X-API-KEY'] = data[STORAGE_KEYS.API_KEY];
+  }
+
+  return requestJson(url, { headers });
+}
+
+function getErrorCode(error) {
+  return error instanceof DtddRequestError ? error.code : ERROR_CODE.NETWORK;
+}
+
+/**
+ * Submit a yes/no vote for a topic on a DTDD media item
+ * Voting requires the user's API key, unlike the read-only endpoints
+ */
+async function submitVote({ mediaId, topicId, isYes }) {
+  const data = await DtddBrowser.storage.sync.get(STORAGE_KEYS.API_KEY);
+  if (!data[STORAGE_KEYS.API_KEY]) {
+    throw new DtddRequestError(ERROR_CODE.AUTH, 'API key required');
+  }
+
+  try {
+    await requestJson(DTDD_VOTE_API, {
+      method: 'POST',
+      headers: {
+        Accept: 'application/json',
+        'Content-Type': 'application/json',
+        'X-API-KEY': data[STORAGE_KEYS.API_KEY],
+      },
+      body: JSON.stringify({ itemId: mediaId, topicId, isYes: isYes ? 1 : 0 }),
+      expectJson: false,
+    });
+  } catch (e) {
+    if (getErrorCode(e) === ERROR_CODE.AUTH) {
+      throw new DtddRequestError(ERROR_CODE.AUTH, 'API key rejected', e.status);
+    }
+    throw e;
+  }
+
+  // Cached vote counts for this media are now out of date
+  await removeCacheEntry(`${DTDD_MEDIA_API}/${mediaId}`);
+}
+
+// =============================================================================
+// REQUEST QUEUE
+// =============================================================================
+
+const requestQueue = [];
+let activeRequests = 0;
+// Host → earliest time the next request to it may start
+const hostNextSlot = new Map();
+// GET requests in flight, so identical URLs share one request
+const inFlightRequests = new Map();
+
+/**
+ * Queue a request to DTDD and resolve with its parsed JSON body
+ *
+ * GETs are deduplicated and retried on network errors, timeouts, 429 and 5xx.
+ * Other methods are only retried on 429, since the server didn't process them.
+ */
+function requestJson(url, { method = 'GET', expectJson = true, ...init } = {}) {
+  const isGet = method === 'GET';
+  if (isGet && inFlightRequests.has(url)) return inFlightRequests.get(url);
+
+  const request = new Promise((resolve, reject) => {
+    requestQueue.push({
+      run: () => requestWithRetries(url, { method, ...init }, isGet),
+      resolve,
+      reject,
+    });
+    pumpRequestQueue();
+  }).then((response) => (expectJson ? parseJson(response) : null));
+
+  if (isGet) {
+    inFlightRequests.set(url, request);
+    request.then(
+      () => inFlightRequests.delete(url),
+      () => inFlightRequests.delete(url),
+    );
+  }
+  return request;
+}
+
+function pumpRequestQueue() {
+  while (activeRequests < REQUEST_CONCURRENCY && requestQueue.length > 0) {
+    const { run, resolve, reject } = requestQueue.shift();
+    activeRequests++;
+    run()
+      .then(resolve, reject)
+      .finally(() => {
+        activeRequests--;
+        pumpRequestQueue();
       });
+  }
+}
 
-      if (!response.ok) {
-        sendResponse({ error: `HTTP ${response.status}`, data: null });
-        return;
-      }
+async function requestWithRetries(url, init, retryAllErrors) {
+  const { host } = new URL(url);
+
+  for (let attempt = 0; ; attempt++) {
+    await waitForHostSlot(host);
 
-      const json = await response.json();
-      sendResponse({ error: null, data: json });
+    let error;
+    let retryAfterMs = null;
+    try {
+      return await fetchWithTimeout(url, init);
     } catch (e) {
-      sendResponse({ error: e.message, data: null });
+      error = e;
+      retryAfterMs = e.retryAfterMs ?? null;
+    }
+
+    const isRetryable =
+      error.code === ERROR_CODE.RATE_LIMITED ||
+      (retryAllErrors &&
+        [ERROR_CODE.NETWORK, ERROR_CODE.TIMEOUT, ERROR_CODE.SERVER].includes(
+          error.code,
+        ));
+    if (!isRetryable || attempt >= REQUEST_MAX_RETRIES) throw error;
+
+    const backoffMs = Math.min(
+      retryAfterMs ??
+        REQUEST_BACKOFF_BASE_MS * 2 ** attempt * (1 + Math.random() * 0.5),
+      REQUEST_BACKOFF_MAX_MS,
+    );
+    console.warn(
+      `[DTDD] ${error.message}, retrying in ${Math.round(backoffMs)}ms:`,
+      url,
+    );
+
+    // Rate limits apply to the whole host, so hold back every queued request
+    if (error.code === ERROR_CODE.RATE_LIMITED) {
+      hostNextSlot.set(
+        host,
+        Math.max(hostNextSlot.get(host) ?? 0, Date.now() + backoffMs),
+      );
+    } else {
+      await sleep(backoffMs);
+    }
+  }
+}
+
+/**
+ * Reserve the next request slot for a host, waiting until it's due
+ */
+async function waitForHostSlot(host) {
+  const now = Date.now();
+  const slot = Math.max(now, hostNextSlot.get(host) ?? 0);
+  hostNextSlot.set(host, slot + REQUEST_MIN_INTERVAL_MS);
+  if (slot > now) await sleep(slot - now);
+}
+
+/**
+ * Fetch with an AbortController timeout, converting failures to DtddRequestError
+ */
+async function fetchWithTimeout(url, init) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+
+  let response;
+  try {
+    response = await fetch(url, { ...init, signal: controller.signal });
+  } catch (e) {
+    if (e.name === 'AbortError') {
+      throw new DtddRequestError(ERROR_CODE.TIMEOUT, 'Request timed out');
     }
+    throw new DtddRequestError(ERROR_CODE.NETWORK, e.message);
+  } finally {
+    clearTimeout(timeout);
+  }
+
+  if (response.ok) return response;
+
+  const { status } = response;
+  let error;
+  if (status === 401 || status === 403) {
+    error = new DtddRequestError(ERROR_CODE.AUTH, `HTTP ${status}`, status);
+  } else if (status === 404) {
+    error = new DtddRequestError(
+      ERROR_CODE.NOT_FOUND,
+      `HTTP ${status}`,
+      status,
+    );
+  } else if (status === 429) {
+    error = new DtddRequestError(
+      ERROR_CODE.RATE_LIMITED,
+      `HTTP ${status}`,
+      status,
+    );
+    error.retryAfterMs = parseRetryAfter(response.headers.get('Retry-After'));
+  } else if (status >= 500) {
+    error = new DtddRequestError(ERROR_CODE.SERVER, `HTTP ${status}`, status);
+  } else {
+    error = new DtddRequestError(ERROR_CODE.HTTP, `HTTP ${status}`, status);
+  }
+  throw error;
+}
+
+async function parseJson(response) {
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new DtddRequestError(
+      ERROR_CODE.INVALID_RESPONSE,
+      'Invalid JSON response',
+    );
+  }
+}
+
+/**
+ * Parse a Retry-After header (seconds or HTTP date) into milliseconds
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return seconds * 1000;
+
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// =============================================================================
+// RESPONSE CACHE
+// =============================================================================
+
+/**
+ * Determine the cache TTL for a DTDD URL (0 = don't cache)
+ */
+function getCacheTtl(url) {
+  const { pathname } = new URL(url);
+  if (pathname.startsWith('/dddsearch')) return CACHE_TTL_MS.search;
+  if (pathname.startsWith('/media/')) return CACHE_TTL_MS.media;
+  if (pathname.startsWith('/categories')) return CACHE_TTL_MS.categories;
+  return 0;
+}
+
+/**
+ * Fetch JSON with a persistent stale-while-revalidate cache
+ *
+ * 1. Fresh entry → return it
+ * 2. Stale entry within CACHE_MAX_STALE_MS → return it, refresh in background
+ * 3. Otherwise fetch; if that fails, fall back to any cached entry (offline)
+ */
+async function cachedFetchJson(url) {
+  const ttl = getCacheTtl(url);
+  if (ttl === 0) return fetchJson(url);
+
+  const entry = await readCacheEntry(url);
+  const age = entry ? Date.now() - entry.fetchedAt : Infinity;
+
+  if (entry && age < ttl) {
+    return entry.data;
+  }
+
+  if (entry && age < CACHE_MAX_STALE_MS) {
+    refreshCacheEntry(url);
+    return entry.data;
+  }
+
+  try {
+    return await refreshCacheEntry(url);
+  } catch (e) {
+    if (entry) {
+      console.warn('[DTDD] Serving expired cache entry:', url, e.message);
+      return entry.data;
+    }
+    throw e;
+  }
+}
+
+function refreshCacheEntry(url) {
+  const refresh = (async () => {
+    const data = await fetchJson(url);
+    await writeCacheEntry(url, data);
+    return data;
   })();
 
-  return true;
-});
+  // Background refreshes have no caller to report to
+  refresh.catch((e) =>
+    console.warn('[DTDD] Cache refresh failed:', url, e.message),
+  );
+  return refresh;
+}
+
+async function readCacheEntry(url) {
+  const key = CACHE_KEY_PREFIX + url;
+  const stored = await DtddBrowser.storage.local.get(key);
+  const entry = stored[key];
+  if (!entry) return null;
+
+  recordCacheAccess(url);
+  return entry;
+}
+
+async function writeCacheEntry(url, data) {
+  const now = Date.now();
+  const entry = { data, fetchedAt: now };
+  // Storage quota counts the UTF-8 bytes of the key and the JSON value
+  const bytes = new TextEncoder().encode(
+    CACHE_KEY_PREFIX + url + JSON.stringify(entry),
+  ).length;
+
+  await DtddBrowser.storage.local.set({ [CACHE_KEY_PREFIX + url]: entry });
+  await updateCacheIndex((index) => {
+    index[url] = { fetchedAt: now, accessedAt: now, bytes };
+  });
+}
+
+// Index updates are read-modify-write, so run them one at a time
+let cacheIndexQueue = Promise.resolve();
+
+// Access times of cache hits not yet in the index, by URL; the index can
+// hold 1000 entries, so it isn't rewritten on every hit
+const pendingCacheAccesses = new Map();
+let cacheAccessSaveTimer = null;
+
+function recordCacheAccess(url) {
+  pendingCacheAccesses.set(url, Date.now());
+  if (cacheAccessSaveTimer) return;
+
+  cacheAccessSaveTimer = setTimeout(() => {
+    cacheAccessSaveTimer = null;
+    // Another index update may have saved them already
+    if (pendingCacheAccesses.size > 0) updateCacheIndex(() => {});
+  }, CACHE_ACCESS_SAVE_DELAY_MS);
+}
+
+/**
+ * Apply a mutation to the cache index, then evict entries over the size limits
+ * Pending cache hits are applied first, so eviction uses current access times
+ */
+function updateCacheIndex(mutate) {
+  cacheIndexQueue = cacheIndexQueue
+    .then(async () => {
+      const stored = await DtddBrowser.storage.local.get(CACHE_INDEX_KEY);
+      const index = stored[CACHE_INDEX_KEY] || {};
+      for (const [url, accessedAt] of pendingCacheAccesses) {
+        if (index[url]) index[url].accessedAt = accessedAt;
+      }
+      pendingCacheAccesses.clear();
+      mutate(index);
+
+      const evicted = evictCacheEntries(index);
+      if (evicted.length > 0) {
+        await DtddBrowser.storage.local.remove(
+          evicted.map((url) => CACHE_KEY_PREFIX + url),
+        );
+      }
+
+      await DtddBrowser.storage.local.set({ [CACHE_INDEX_KEY]: index });
+    })
+    .catch((e) => console.error('[DTDD] Cache index update failed:', e));
+  return cacheIndexQueue;
+}
+
+/**
+ * Remove least recently used entries from the index until within limits
+ * Returns the evicted URLs
+ */
+function evictCacheEntries(index) {
+  const urls = Object.keys(index).sort(
+    (a, b) => index[a].accessedAt - index[b].accessedAt,
+  );
+  let totalBytes = urls.reduce((sum, url) => sum + index[url].bytes, 0);
+  const evicted = [];
+
+  while (
+    urls.length > 0 &&
+    (urls.length > CACHE_MAX_ENTRIES || totalBytes > CACHE_MAX_BYTES)
+  ) {
+    const url = urls.shift();
+    totalBytes -= index[url].bytes;
+    delete index[url];
+    evicted.push(url);
+  }
+
+  return evicted;
+}
+
+async function removeCacheEntry(url) {
+  await DtddBrowser.storage.local.remove(CACHE_KEY_PREFIX + url);
+  await updateCacheIndex((index) => {
+    delete index[url];
+  });
+}
+
+async function getCacheStats() {
+  await cacheIndexQueue;
+  const stored = await DtddBrowser.storage.local.get(CACHE_INDEX_KEY);
+  const entries = Object.values(stored[CACHE_INDEX_KEY] || {});
+
+  return {
+    entries: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0),
+    maxBytes: CACHE_MAX_BYTES,
+    oldestFetchedAt: entries.length
+      ? Math.min(...entries.map((entry) => entry.fetchedAt))
+      : null,
+  };
+}
+
+async function clearCache() {
+  await cacheIndexQueue;
+  const stored = await DtddBrowser.storage.local.get(CACHE_INDEX_KEY);
+  const urls = Object.keys(stored[CACHE_INDEX_KEY] || {});
+
+  await DtddBrowser.storage.local.remove([
+    CACHE_INDEX_KEY,
+    ...urls.map((url) => CACHE_KEY_PREFIX + url),
+  ]);
+}
+
+// =============================================================================
+// SETTINGS PROFILES
+// =============================================================================
+
+// Profile changes are read-modify-write across several keys, so run them one
+// at a time
+let profileQueue = Promise.resolve();
+
+/**
+ * Run a profile action from the settings page or the panel's switcher
+ * Every action resolves with the updated profile list
+ */
+function handleProfileMessage(msg) {
+  const run = profileQueue.then(async () => {
+    if (msg.action === 'switch') {
+      await switchProfile(msg.profileId);
+    } else if (msg.action === 'create') {
+      await createProfile(msg.profileName);
+    } else if (msg.action === 'rename') {
+      await renameProfile(msg.profileId, msg.profileName);
+    } else if (msg.action === 'delete') {
+      await deleteProfile(msg.profileId);
+    } else if (msg.action !== 'list') {
+      throw new Error(`Unknown profile action: ${msg.action}`);
+    }
+    return listProfiles();
+  });
+  profileQueue = run.catch(() => {});
+  return run;
+}
+
+async function readProfiles() {
+  const data = await DtddBrowser.storage.sync.get([
+    STORAGE_KEYS.PROFILES,
+    STORAGE_KEYS.ACTIVE_PROFILE,
+  ]);
+  return {
+    profiles: data[STORAGE_KEYS.PROFILES] || {
+      [DEFAULT_PROFILE_ID]: { name: DEFAULT_PROFILE_NAME },
+    },
+    activeId: data[STORAGE_KEYS.ACTIVE_PROFILE] || DEFAULT_PROFILE_ID,
+  };
+}
+
+async function listProfiles() {
+  const { profiles, activeId } = await readProfiles();
+  return {
+    activeId,
+    profiles: Object.entries(profiles).map(([id, profile]) => ({
+      id,
+      name: profile.name,
+    })),
+  };
+}
+
+function normalizeProfileName(name) {
+  const trimmed = String(name ?? '')
+    .trim()
+    .slice(0, PROFILE_NAME_MAX_LENGTH);
+  if (!trimmed) throw new Error('Profile name is required');
+  return trimmed;
+}
+
+/**
+ * Make a profile active by swapping its settings into the top-level keys
+ * The change listeners in open tabs then re-render with the new settings,
+ * so it's all one write and they never see a half-switched profile
+ */
+async function switchProfile(profileId) {
+  const { profiles, activeId } = await readProfiles();
+  if (!profiles[profileId]) throw new Error('Profile not found');
+  if (profileId === activeId) return;
+
+  const current = await DtddBrowser.storage.sync.get(PROFILE_SETTING_KEYS);
+  const saved = profiles[profileId].settings || {};
+  // Settings the new profile never set get their defaults
+  const next = Object.fromEntries(
+    PROFILE_SETTING_KEYS.map((key) => [key, saved[key] ?? DEFAULTS[key]]),
+  );
+
+  profiles[activeId] = { ...profiles[activeId], settings: current };
+  profiles[profileId] = { name: profiles[profileId].name };
+  await DtddBrowser.storage.sync.set({
+    ...next,
+    [STORAGE_KEYS.PROFILES]: profiles,
+    [STORAGE_KEYS.ACTIVE_PROFILE]: profileId,
+  });
+}
+
+/**
+ * Add a profile with default settings and switch to it
+ */
+async function createProfile(name) {
+  const { profiles } = await readProfiles();
+  const profileId = `profile-${Date.now().toString(36)}`;
+
+  profiles[profileId] = { name: normalizeProfileName(name), settings: {} };
+  await DtddBrowser.storage.sync.set({ [STORAGE_KEYS.PROFILES]: profiles });
+  await switchProfile(profileId);
+}
+
+async function renameProfile(profileId, name) {
+  const { profiles } = await readProfiles();
+  if (!profiles[profileId]) throw new Error('Profile not found');
+
+  profiles[profileId].name = normalizeProfileName(name);
+  await DtddBrowser.storage.sync.set({ [STORAGE_KEYS.PROFILES]: profiles });
+}
+
+/**
+ * Delete a profile, switching away from it first if it's active
+ */
+async function deleteProfile(profileId) {
+  const { profiles, activeId } = await readProfiles();
+  if (!profiles[profileId]) throw new Error('Profile not found');
+
+  const remainingIds = Object.keys(profiles).filter((id) => id !== profileId);
+  if (remainingIds.length === 0) {
+    throw new Error("The last profile can't be deleted");
+  }
+
+  if (profileId === activeId) await switchProfile(remainingIds[0]);
+
+  const updated = (await readProfiles()).profiles;
+  delete updated[profileId];
+  await DtddBrowser.storage.sync.set({ [STORAGE_KEYS.PROFILES]: updated });
+}
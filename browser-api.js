@@ -0,0 +1,62 @@
+/**
+ * Letterboxd DTDD Integration - Browser API
+ * Compatibility layer over the extension APIs, so the same scripts run in
+ * Chrome (`chrome.*`) and Firefox (`browser.*`)
+ */
+
+const DtddBrowser = (function () {
+  'use strict';
+
+  // Firefox provides promise-based `browser.*`; Chrome only has `chrome.*`,
+  // whose storage methods return promises in MV3 but whose messaging errors
+  // are reported through runtime.lastError
+  const isPromiseApi = typeof globalThis.browser?.runtime !== 'undefined';
+  const api = isPromiseApi ? globalThis.browser : globalThis.chrome;
+
+  /**
+   * Send a message to the background script
+   * Rejects if it can't be delivered, e.g. after the extension is reloaded
+   */
+  function sendMessage(message) {
+    if (isPromiseApi) return api.runtime.sendMessage(message);
+
+    return new Promise((resolve, reject) => {
+      api.runtime.sendMessage(message, (response) => {
+        const error = api.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  /**
+   * Send a message to the content scripts in a tab
+   * Rejects if the tab has none listening, e.g. it isn't a Letterboxd page
+   */
+  function sendTabMessage(tabId, message) {
+    if (isPromiseApi) return api.tabs.sendMessage(tabId, message);
+
+    return new Promise((resolve, reject) => {
+      api.tabs.sendMessage(tabId, message, (response) => {
+        const error = api.runtime.lastError;
+        if (error) {
+          reject(new Error(error.message));
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  return Object.freeze({
+    runtime: api.runtime,
+    storage: api.storage,
+    action: api.action,
+    tabs: api.tabs,
+    sendMessage,
+    sendTabMessage,
+  });
+})();
@@ -6,313 +6,228 @@
 (function () {
   'use strict';
 
+  const {
+    WARNING_CATEGORY,
+    DEFAULT_THRESHOLDS,
+    resolveThresholds,
+    getTopicIds,
+    getWarningSettings,
+    categorizeWarning,
+    selectWarnings,
+    summarizeWarnings,
+  } = DtddWarnings;
+  const {
+    escapeHtml,
+    getFilmSlugFromPath,
+    scrapeFilm,
+    fetchDtdd,
+    getErrorMessage,
+    findDtddMedia,
+    findDtddCandidates,
+    dedupeCandidates,
+    getMediaMapping,
+    saveMediaMapping,
+    removeMediaMapping,
+    resolveMedia,
+    fetchMediaDetails,
+    createLookupBatch,
+    lookupFilm,
+    POSTER_SELECTOR,
+    getPosterSlug,
+  } = DtddFilmLookup;
+
   // =============================================================================
   // CONFIGURATION - Modify these values to adjust extension behavior
   // =============================================================================
 
-  // Vote thresholds and categorization
-  const MIN_VOTES_FOR_CONFIDENCE = 3; // Minimum votes required before we trust any result
-  const MIN_VOTES_FOR_SENSITIVE = 1; // Lower threshold for sensitive topics (animal death, SA, etc.)
-
-  // Wilson Score configuration
-  const WILSON_Z_SCORE = 1.645; // 90% confidence (use 1.96 for 95%)
-  const WILSON_CONFIDENCE_THRESHOLD = 0.5; // 50% - majority threshold
+  // Default vote thresholds and number of warnings are in settings-schema.js
 
-  // Warning category values (returned by categorizeWarning)
-  const WARNING_CATEGORY = {
-    YES: 'yes', // Confident or raw majority yes
-    NO: 'no', // Confident or raw majority no
-    MIXED: 'mixed', // Equal yes and no votes
-    UNKNOWN: 'unknown', // Not enough votes to determine
-  };
+  // Status sections of the expanded "show all" list, in display order
+  const ALL_WARNINGS_SECTIONS = [
+    { category: WARNING_CATEGORY.YES, label: 'Yes' },
+    { category: WARNING_CATEGORY.NO, label: 'No' },
+    { category: WARNING_CATEGORY.MIXED, label: 'Disputed' },
+    { category: WARNING_CATEGORY.UNKNOWN, label: 'Unknown' },
+  ];
 
-  // Sort order for warning categories (lower = higher priority in list)
-  // Sensitive topics get a bonus (-10) to appear first
-  const WARNING_SORT_ORDER = {
-    [WARNING_CATEGORY.YES]: 0,
-    [WARNING_CATEGORY.NO]: 1,
-    [WARNING_CATEGORY.MIXED]: 2,
-    [WARNING_CATEGORY.UNKNOWN]: 2,
-  };
-  const SENSITIVE_SORT_BONUS = -10; // Subtracted from sort order for sensitive topics
+  // Poster grid badges (lists, watchlists, search, members pages)
+  const POSTER_VISIBILITY_MARGIN = '200px'; // Start lookups shortly before posters scroll into view
 
   // =============================================================================
   // INTERNAL CONSTANTS - Generally don't need modification
   // =============================================================================
 
   const PANEL_ID = 'dtdd-panel';
-  const DTDD_SEARCH_API = 'https://www.doesthedogdie.com/dddsearch';
-  const DTDD_MEDIA_API = 'https://www.doesthedogdie.com/media';
-  const DTDD_BASE_URL = 'https://www.doesthedogdie.com';
-  const STORAGE_KEY_PINNED = 'dtdd-pinned-topics';
-  const STORAGE_KEY_MAX_WARNINGS = 'dtdd-max-warnings';
-  const DEFAULT_MAX_WARNINGS = 5;
+  const {
+    STORAGE_KEYS,
+    LOCAL_STORAGE_KEYS,
+    DTDD_BASE_URL,
+    DTDD_SEARCH_API,
+    DTDD_CATEGORIES_API,
+    DEFAULT_PROFILE_ID,
+  } = DtddSettings;
+  const REVEALED_FILMS_LIMIT = 500; // Oldest reveals are forgotten beyond this
+  const SCRAPE_PROBLEMS_LIMIT = 20; // Pages kept in the scrape problems record
+  // Fields every film page's markup should have; falling back for these is
+  // recorded as a scrape problem
+  const SCRAPE_EXPECTED_FIELDS = ['title', 'tmdbId'];
+  const DEFAULT_MAX_WARNINGS = DtddSettings.DEFAULTS[STORAGE_KEYS.MAX_WARNINGS];
   const PANEL_INSERT_SELECTOR = 'aside.sidebar';
+  const BANNER_ID = 'dtdd-dealbreaker-banner';
+  const BANNER_INSERT_SELECTOR = '#film-page-wrapper, #content';
+  const BLUR_CLASS = 'dtdd-dealbreaker-blur';
+  const TOPIC_UNDO_MS = 6000; // How long the undo toast stays up
+  const GROUP_WATCH_OPTION = 'group-watch'; // Profile switcher value
+  // Toast messages for the row pin/hide actions
+  const TOPIC_ACTION_MESSAGES = {
+    'pin-topic': 'Pinned',
+    'unpin-topic': 'Unpinned',
+    'hide-topic': 'Hidden',
+    'unhide-topic': 'No longer hidden',
+  };
+
+  // Sync settings the film panel depends on; changes re-render open panels
+  const PANEL_SETTING_KEYS = [
+    STORAGE_KEYS.PINNED_TOPICS,
+    STORAGE_KEYS.MAX_WARNINGS,
+    STORAGE_KEYS.DEALBREAKER_TOPICS,
+    STORAGE_KEYS.DEALBREAKER_BLUR,
+    STORAGE_KEYS.THRESHOLDS,
+    STORAGE_KEYS.TOPIC_THRESHOLDS,
+    STORAGE_KEYS.SPOILER_SAFE,
+    STORAGE_KEYS.API_KEY,
+    STORAGE_KEYS.HIDDEN_TOPICS,
+    STORAGE_KEYS.PROFILES,
+    STORAGE_KEYS.ACTIVE_PROFILE,
+    STORAGE_KEYS.GROUP_WATCH,
+  ];
+  // The subset that decides the dealbreaker banner
+  const BANNER_SETTING_KEYS = [
+    STORAGE_KEYS.DEALBREAKER_TOPICS,
+    STORAGE_KEYS.DEALBREAKER_BLUR,
+    STORAGE_KEYS.THRESHOLDS,
+    STORAGE_KEYS.TOPIC_THRESHOLDS,
+  ];
+
+  // How often to check the URL when the Navigation API is unavailable
+  const NAVIGATION_POLL_MS = 1000;
+  // Longest wait for a soft navigation to replace the previous film's page
+  const STALE_PAGE_WAIT_MS = 3000;
 
   function log(...args) {
     console.debug('[DTDD]', ...args);
   }
 
-  /**
-   * Scrape IMDb and TMDB IDs from the sidebar links
-   */
-  function scrapeIds() {
-    const links = document.querySelectorAll('.micro-button');
-    let imdbId = null;
-    let tmdbId = null;
-    let isTv = false;
-
-    for (const link of links) {
-      const text = link.textContent?.trim();
-      const href = link.href || '';
-
-      if (text === 'IMDb') {
-        const match = href.match(/imdb\.com\/title\/(tt\d+)/);
-        if (match) imdbId = match[1];
-      } else if (text === 'TMDB') {
-        isTv = href.includes('/tv/');
-        const match = href.match(/themoviedb\.org\/(?:tv|movie)\/(\d+)/);
-        if (match) tmdbId = match[1];
-      }
-    }
-
-    return { imdbId, tmdbId, isTv };
-  }
-
-  /**
-   * Get film title and year from the page
-   */
-  function scrapeFilmInfo() {
-    const title =
-      document.querySelector('.headline-1 span')?.textContent?.trim() || null;
-    const year =
-      document.querySelector('.releasedate a')?.textContent?.trim() || null;
-    const nativeTitle =
-      document
-        .querySelector('.originalname .quoted-creative-work-title')
-        ?.textContent?.trim() || null;
-
-    return { title, year, nativeTitle };
-  }
-
-  /**
-   * Send message to background script to fetch from DTDD API
-   */
-  function fetchDtdd(url) {
-    log('Fetching:', url);
-    return new Promise((resolve) => {
-      chrome.runtime.sendMessage({ name: 'DTDD_FETCH', url }, (response) => {
-        if (chrome.runtime.lastError) {
-          console.error(
-            '[DTDD] Message error:',
-            chrome.runtime.lastError.message,
-          );
-          resolve(null);
-          return;
-        }
-        if (response?.error) {
-          console.error('[DTDD] API error:', response.error);
-          resolve(null);
-          return;
-        }
-        log('Response:', response?.data);
-        resolve(response?.data || null);
-      });
-    });
-  }
-
-  /**
-   * Match DTDD search results by TMDB ID, then by name+year
-   */
-  function matchDtddResult(result, tmdbId, title, year, isTv) {
-    if (!result?.items?.length) return null;
-
-    const expectedType = isTv ? 'TV Show' : 'Movie';
-
-    for (const item of result.items) {
-      const itemType = item.itemType?.name;
-
-      // Filter by type
-      if (itemType && itemType !== expectedType) continue;
-
-      // Exact TMDB match
-      if (tmdbId && item.tmdbId === parseInt(tmdbId)) return item;
-
-      // Skip if item has different TMDB ID
-      if (item.tmdbId && tmdbId && item.tmdbId !== parseInt(tmdbId)) continue;
-
-      // Match by name and year
-      const nameMatches =
-        item.name === title || item.name === `${title} ${year}`;
-      const yearMatches = String(item.releaseYear) === String(year);
-
-      if (nameMatches && yearMatches) return item;
-    }
+  // =============================================================================
+  // FILM PAGE
+  // =============================================================================
 
-    return null;
+  function getFilmSlug() {
+    return getFilmSlugFromPath(location.pathname);
   }
 
   /**
-   * Find DTDD media using 3-tier fallback
+   * The film the page content is about, from the sidebar poster or og:url
+   * After a soft navigation this can still be the previous film for a moment
    */
-  async function findDtddMedia() {
-    const { imdbId, tmdbId, isTv } = scrapeIds();
-    const { title, year, nativeTitle } = scrapeFilmInfo();
-
-    log('Scraped IDs:', { imdbId, tmdbId, isTv });
-    log('Film info:', { title, year, nativeTitle });
-
-    let dtddData = null;
-
-    // Tier 1: Search by IMDb ID
-    if (imdbId) {
-      const result = await fetchDtdd(`${DTDD_SEARCH_API}?imdb=${imdbId}`);
-      if (result?.items?.length > 0) {
-        const item = result.items[0];
-        if (!tmdbId || !item.tmdbId || item.tmdbId === parseInt(tmdbId)) {
-          dtddData = item;
-          log('Found via IMDb ID');
-        }
-      }
-    }
-
-    // Tier 2: Search by title
-    if (!dtddData && title) {
-      const result = await fetchDtdd(
-        `${DTDD_SEARCH_API}?q=${encodeURIComponent(title)}`,
-      );
-      dtddData = matchDtddResult(result, tmdbId, title, year, isTv);
-      if (dtddData) log('Found via title search');
-    }
+  function getRenderedFilmSlug() {
+    const poster = document.querySelector(
+      `${PANEL_INSERT_SELECTOR} [data-film-slug]`,
+    );
+    if (poster) return poster.dataset.filmSlug;
 
-    // Tier 3: Search by native title
-    if (!dtddData && nativeTitle) {
-      const result = await fetchDtdd(
-        `${DTDD_SEARCH_API}?q=${encodeURIComponent(nativeTitle)}`,
-      );
-      dtddData = matchDtddResult(result, tmdbId, nativeTitle, year, isTv);
-      if (dtddData) log('Found via native title search');
+    const ogUrl = document
+      .querySelector('meta[property="og:url"]')
+      ?.getAttribute('content');
+    if (!ogUrl) return null;
+    try {
+      return getFilmSlugFromPath(new URL(ogUrl).pathname);
+    } catch {
+      return null;
     }
-
-    return dtddData;
-  }
-
-  /**
-   * Fetch full media details including topic warnings
-   */
-  async function fetchMediaDetails(mediaId) {
-    const result = await fetchDtdd(`${DTDD_MEDIA_API}/${mediaId}`);
-    return result;
   }
 
   /**
-   * Calculate Wilson Score confidence interval bounds
-   * Returns { lower, upper } representing the confidence interval for the true "yes" proportion
-   *
-   * @see https://en.wikipedia.org/wiki/Binomial_proportion_confidence_interval#Wilson_score_interval
+   * Keep a record when Letterboxd's markup no longer has what we expect, so
+   * layout changes are noticed even while the fallbacks cover for them
+   * Nothing is recorded for pages that read normally
    */
-  function wilsonScore(yesCount, totalCount) {
-    if (totalCount === 0) return { lower: 0, upper: 0 };
-
-    const z = WILSON_Z_SCORE;
-    const p = yesCount / totalCount;
-    const n = totalCount;
-
-    const denominator = 1 + (z * z) / n;
-    const center = p + (z * z) / (2 * n);
-    const spread = z * Math.sqrt((p * (1 - p) + (z * z) / (4 * n)) / n);
-
-    const lower = (center - spread) / denominator;
-    const upper = (center + spread) / denominator;
-
-    return {
-      lower: Math.max(0, lower),
-      upper: Math.min(1, upper),
-    };
-  }
+  async function recordScrapeProblems(slug, scraped) {
+    const missing = SCRAPE_EXPECTED_FIELDS.filter(
+      (field) => scraped.sources[field] !== 'markup',
+    );
+    if (missing.length === 0) return;
 
-  /**
-   * Categorize a topic stat using Wilson Score confidence intervals
-   *
-   * Logic:
-   * 1. If total votes < minimum threshold → unknown (threshold is lower for sensitive topics)
-   * 2. If Wilson lower bound > 50% → confident yes
-   * 3. If Wilson upper bound < 50% → confident no
-   * 4. Otherwise fall back to raw majority (yesSum vs noSum)
-   * 5. If exactly equal → mixed
-   */
-  function categorizeWarning(stat) {
-    const { yesSum, noSum } = stat;
-    const totalVotes = yesSum + noSum;
-    const isSensitive = stat.topic?.isSensitive ?? false;
-    const topicName =
-      stat.topic?.doesName || stat.topic?.name || 'unknown topic';
-
-    // Use lower threshold for sensitive topics
-    const minVotes = isSensitive
-      ? MIN_VOTES_FOR_SENSITIVE
-      : MIN_VOTES_FOR_CONFIDENCE;
-
-    // Not enough data
-    if (totalVotes < minVotes) {
-      log(
-        `"${topicName}" -> ${WARNING_CATEGORY.UNKNOWN} (${totalVotes} votes < ${minVotes} minimum${isSensitive ? ', sensitive' : ''})`,
-      );
-      return WARNING_CATEGORY.UNKNOWN;
-    }
-
-    const { lower, upper } = wilsonScore(yesSum, totalVotes);
-
-    let result;
-    let reason;
-
-    if (lower > WILSON_CONFIDENCE_THRESHOLD) {
-      // Statistically confident majority yes
-      result = WARNING_CATEGORY.YES;
-      reason = `wilson lower ${(lower * 100).toFixed(0)}% > 50%`;
-    } else if (upper < WILSON_CONFIDENCE_THRESHOLD) {
-      // Statistically confident majority no
-      result = WARNING_CATEGORY.NO;
-      reason = `wilson upper ${(upper * 100).toFixed(0)}% < 50%`;
-    } else if (yesSum > noSum) {
-      // Uncertain but leans yes
-      result = WARNING_CATEGORY.YES;
-      reason = `raw majority (${yesSum} > ${noSum})`;
-    } else if (noSum > yesSum) {
-      // Uncertain but leans no
-      result = WARNING_CATEGORY.NO;
-      reason = `raw majority (${noSum} > ${yesSum})`;
-    } else {
-      // Exactly split
-      result = WARNING_CATEGORY.MIXED;
-      reason = 'equal votes';
-    }
+    console.warn(
+      `[DTDD] Couldn't read ${missing.join(', ')} from the page markup:`,
+      scraped.sources,
+    );
 
-    log(
-      `"${topicName}" -> ${result} (yes: ${yesSum}, no: ${noSum}, ${reason}${isSensitive ? ', sensitive' : ''})`,
+    const data = await DtddBrowser.storage.local.get(
+      LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS,
     );
-    return result;
+    const problems = (data[LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS] || []).filter(
+      (problem) => problem.slug !== slug,
+    );
+    problems.unshift({
+      slug,
+      url: location.href,
+      date: new Date().toISOString(),
+      missing,
+      sources: scraped.sources,
+      isUnreadable: scraped.isUnreadable,
+    });
+    await DtddBrowser.storage.local.set({
+      [LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS]: problems.slice(
+        0,
+        SCRAPE_PROBLEMS_LIMIT,
+      ),
+    });
   }
 
-  /**
-   * Get sort order for a topic stat (lower = higher priority)
-   * Sensitive topics get a bonus to appear first
-   */
-  function getWarningSortOrder(stat) {
-    const category = categorizeWarning(stat);
-    const isSensitive = stat.topic?.isSensitive ?? false;
-    const baseOrder = WARNING_SORT_ORDER[category] ?? 2;
-    return isSensitive ? baseOrder + SENSITIVE_SORT_BONUS : baseOrder;
-  }
+  // Last loaded panel data and settings, for re-rendering without refetching
+  let loadedPanel = null;
+  let showAllWarnings = false;
+  // Rows expanded and comments revealed, kept across re-renders of this film
+  const expandedTopicIds = new Set();
+  const revealedTopicIds = new Set();
+  // Votes cast from the panel: topicId → { isYes, pending, error }
+  const topicVotes = new Map();
+  // Topic ID → category name, loaded when the full list is first expanded
+  let topicCategories = null;
+  // Bumped on every navigation so async work for the previous page can bail
+  let pageGeneration = 0;
+  let currentPageKey = null;
+  // Observers to disconnect when leaving the page
+  const pageCleanups = [];
+  // Last panel HTML injected, restored if the page re-renders the sidebar
+  let lastPanelHtml = null;
+  // Last pin/hide change made from a row: { message, previous, timer }
+  let topicUndo = null;
+  // How the last load of this film ended, for the toolbar popup and badge:
+  // { state, errorCode }, or null while loading
+  let panelOutcome = null;
+  // Last summary sent for the toolbar badge, so re-renders don't resend it
+  let lastReportedSummary = null;
 
   /**
    * Build the panel HTML with warnings
+   * Dealbreaker topics are listed with the pinned topics
    */
   function buildPanelHtml(
     state,
     data = null,
-    pinnedIds = new Set(),
-    maxWarnings = DEFAULT_MAX_WARNINGS,
+    {
+      pinnedIds = new Set(),
+      dealbreakerIds = new Set(),
+      maxWarnings = DEFAULT_MAX_WARNINGS,
+      thresholds = DEFAULT_THRESHOLDS,
+      allWarnings = null,
+      isRedacted = false,
+      hasApiKey = false,
+      hiddenIds = new Set(),
+      profiles = null,
+    } = {},
   ) {
     const headerDtddUrl = data?.mediaId
       ? `${DTDD_BASE_URL}/media/${data.mediaId}`
@@ -320,7 +235,7 @@
     const headerText = headerDtddUrl
       ? `<a href="${headerDtddUrl}" target="_blank" rel="noopener noreferrer" title="View all on Does The Dog Die">Content Warnings</a>`
       : 'Content Warnings';
-    const header = `<h3 class="dtdd-header">${headerText} <button class="dtdd-settings-btn" title="Settings">⚙</button></h3>`;
+    const header = `<h3 class="dtdd-header">${headerText} <span class="dtdd-header-controls">${buildProfileSwitcherHtml(profiles)}<button class="dtdd-settings-btn" data-action="open-settings" title="Settings">⚙</button></span></h3>`;
 
     if (state === 'loading') {
       return `
@@ -334,11 +249,19 @@
     }
 
     if (state === 'error') {
+      const errorCode = data?.errorCode;
+      const message = getErrorMessage(errorCode);
+      // A saved match may point at a title DTDD has since removed
+      const pickerHtml =
+        errorCode === 'not-found'
+          ? '<button class="dtdd-text-btn" data-action="open-picker">Choose the DTDD title manually</button>'
+          : '';
       return `
         <section id="${PANEL_ID}" class="dtdd-panel">
           ${header}
           <div class="dtdd-content">
-            <div class="dtdd-error">Failed to load warnings</div>
+            <div class="dtdd-error dtdd-error-${escapeHtml(errorCode || 'unknown')}">${message}</div>
+            ${pickerHtml}
           </div>
         </section>
       `;
@@ -350,6 +273,31 @@
           ${header}
           <div class="dtdd-content">
             <div class="dtdd-not-found">No warnings available for this title</div>
+            <button class="dtdd-text-btn" data-action="open-picker">Choose the DTDD title manually</button>
+          </div>
+        </section>
+      `;
+    }
+
+    // None of the scraping strategies found anything to search DTDD with
+    if (state === 'unreadable') {
+      return `
+        <section id="${PANEL_ID}" class="dtdd-panel">
+          ${header}
+          <div class="dtdd-content">
+            <div class="dtdd-unreadable">Couldn't read this Letterboxd page. Letterboxd may have changed its layout.</div>
+            <button class="dtdd-text-btn" data-action="open-picker">Search DTDD for this title</button>
+          </div>
+        </section>
+      `;
+    }
+
+    if (state === 'picker') {
+      return `
+        <section id="${PANEL_ID}" class="dtdd-panel">
+          ${header}
+          <div class="dtdd-content">
+            ${buildPickerHtml(data)}
           </div>
         </section>
       `;
@@ -357,34 +305,22 @@
 
     // state === 'loaded'
     const { topics } = data;
+    const rowSettings = {
+      hasApiKey,
+      pinnedIds,
+      dealbreakerIds,
+      hiddenIds,
+      // Group watch shows other profiles' pins, which rows can't edit
+      canEditTopics: !profiles?.groupWatch,
+    };
 
-    // Separate pinned topics (always show) from regular topics
-    // Sort by: sensitive first, then warning category (yes → no → mixed), then by yes votes
-    const pinnedTopics = topics
-      .filter((t) => pinnedIds.has(t.topic?.id))
-      .sort((a, b) => {
-        const aOrder = getWarningSortOrder(a);
-        const bOrder = getWarningSortOrder(b);
-        if (aOrder !== bOrder) return aOrder - bOrder;
-        return b.yesSum - a.yesSum;
-      });
-
-    // Regular yes topics (not pinned, has enough votes)
-    // Sensitive topics are boosted to appear first
-    const yesTopics = topics
-      .filter(
-        (t) =>
-          !pinnedIds.has(t.topic?.id) &&
-          categorizeWarning(t) === WARNING_CATEGORY.YES,
-      )
-      .sort((a, b) => {
-        // Sensitive topics first, then by yes votes
-        const aSensitive = a.topic?.isSensitive ?? false;
-        const bSensitive = b.topic?.isSensitive ?? false;
-        if (aSensitive !== bSensitive) return bSensitive - aSensitive;
-        return b.yesSum - a.yesSum;
-      })
-      .slice(0, maxWarnings);
+    const { pinnedTopics, yesTopics } = selectWarnings(topics, {
+      pinnedIds,
+      dealbreakerIds,
+      hiddenIds,
+      maxWarnings,
+      thresholds,
+    });
 
     const hasWarnings = pinnedTopics.length > 0 || yesTopics.length > 0;
 
@@ -394,32 +330,43 @@
       // Render pinned items with a separator class on the last one
       const pinnedHtml = pinnedTopics
         .map((t, i) => {
-          const category = categorizeWarning(t);
+          const category = categorizeWarning(t, thresholds);
           const statusClass =
             category === WARNING_CATEGORY.NO
               ? 'dtdd-status-no'
               : category === WARNING_CATEGORY.UNKNOWN
                 ? 'dtdd-status-unknown'
                 : '';
-          const tooltipAttr = t.comment
-            ? `data-tooltip="${escapeHtml(t.comment)}"`
-            : '';
           const isLastPinned =
             i === pinnedTopics.length - 1 && yesTopics.length > 0;
           const separatorClass = isLastPinned ? 'dtdd-pinned-last' : '';
-          return `<li class="dtdd-warning-item ${statusClass} ${separatorClass}" ${tooltipAttr}><span class="dtdd-votes"><span class="dtdd-yes-count">${t.yesSum}</span>/<span class="dtdd-no-count">${t.noSum}</span></span> ${escapeHtml(t.topic.name.toLowerCase())}</li>`;
-        })
-        .join('');
-
-      const yesHtml = yesTopics
-        .map((t) => {
-          const tooltipAttr = t.comment
-            ? `data-tooltip="${escapeHtml(t.comment)}"`
+          const dealbreakerClass = dealbreakerIds.has(t.topic?.id)
+            ? 'dtdd-dealbreaker'
             : '';
-          return `<li class="dtdd-warning-item dtdd-warning-main" ${tooltipAttr}><span class="dtdd-votes"><span class="dtdd-yes-count">${t.yesSum}</span>/<span class="dtdd-no-count">${t.noSum}</span></span> ${escapeHtml(t.topic.name.toLowerCase())}</li>`;
+          return buildWarningItemHtml(
+            t,
+            'pinned',
+            `${statusClass} ${separatorClass} ${dealbreakerClass}`,
+            rowSettings,
+          );
         })
         .join('');
 
+      // Spoiler-safe mode shows only a count until the film is revealed
+      const yesHtml =
+        isRedacted && yesTopics.length > 0
+          ? `<li class="dtdd-warning-item dtdd-warning-main dtdd-redacted"><button class="dtdd-warning-toggle" data-action="reveal-warnings" title="Show warnings">${yesTopics.length} other warning${yesTopics.length === 1 ? '' : 's'}</button></li>`
+          : yesTopics
+              .map((t) =>
+                buildWarningItemHtml(
+                  t,
+                  'main',
+                  'dtdd-warning-main',
+                  rowSettings,
+                ),
+              )
+              .join('');
+
       warningsHtml = `
         <div class="dtdd-warning-group dtdd-warning-yes">
           <ul class="dtdd-warning-list">
@@ -431,30 +378,394 @@
       warningsHtml = `<div class="dtdd-not-found">No significant warnings reported</div>`;
     }
 
+    const matchLabel = data.isManual ? 'Matched manually' : 'Wrong title?';
+    const showAllLabel = allWarnings
+      ? 'Hide full list'
+      : `Show all ${topics.length} topics`;
+    const allWarningsHtml = allWarnings
+      ? buildAllWarningsHtml(topics, thresholds, allWarnings, rowSettings)
+      : '';
+    const toastHtml = topicUndo
+      ? `<div class="dtdd-toast" role="status">${escapeHtml(topicUndo.message)} <button class="dtdd-text-btn" data-action="undo-topic">Undo</button></div>`
+      : '';
+
     return `
       <section id="${PANEL_ID}" class="dtdd-panel">
         ${header}
         <div class="dtdd-content">
           ${warningsHtml}
+          ${allWarningsHtml}
+          ${toastHtml}
+          <div class="dtdd-panel-footer">
+            <button class="dtdd-text-btn" data-action="toggle-all" ${isRedacted ? 'hidden' : ''}>${showAllLabel}</button>
+            <button class="dtdd-text-btn" data-action="open-picker">${matchLabel}</button>
+          </div>
         </div>
       </section>
     `;
   }
 
-  function escapeHtml(str) {
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+  /**
+   * Build the header's profile switcher, shown once there's more than one
+   */
+  function buildProfileSwitcherHtml(profiles) {
+    if (!profiles || profiles.list.length < 2) return '';
+
+    const selected = profiles.groupWatch
+      ? GROUP_WATCH_OPTION
+      : profiles.activeId;
+    const optionsHtml = [
+      ...profiles.list,
+      { id: GROUP_WATCH_OPTION, name: 'Group watch' },
+    ]
+      .map(
+        ({ id, name }) =>
+          `<option value="${escapeHtml(id)}" ${id === selected ? 'selected' : ''}>${escapeHtml(name)}</option>`,
+      )
+      .join('');
+
+    return `<select class="dtdd-profile-select" aria-label="Profile" title="Group watch pins every profile's topics">${optionsHtml}</select>`;
+  }
+
+  /**
+   * Build a warning row that expands to show the topic's details and comments
+   * `scope` keeps element IDs unique when a topic is listed more than once
+   */
+  function buildWarningItemHtml(
+    t,
+    scope,
+    classes = '',
+    {
+      hasApiKey = false,
+      pinnedIds = new Set(),
+      dealbreakerIds = new Set(),
+      hiddenIds = new Set(),
+      canEditTopics = true,
+    } = {},
+  ) {
+    const topicId = t.topic?.id;
+    const name = t.topic.name.toLowerCase();
+    const detailId = `dtdd-detail-${scope}-${topicId}`;
+    const isExpanded = expandedTopicIds.has(topicId);
+    const isHidden = hiddenIds.has(topicId);
+    // Dealbreakers are always listed, so they're only managed in settings
+    const actionsHtml =
+      !canEditTopics || dealbreakerIds.has(topicId)
+        ? ''
+        : buildRowActionsHtml(topicId, name, pinnedIds.has(topicId), isHidden);
+
+    return `<li class="dtdd-warning-item ${classes} ${isHidden ? 'dtdd-hidden-topic' : ''}" data-name="${escapeHtml(name)}"><button class="dtdd-warning-toggle" data-action="toggle-detail" data-topic-id="${topicId}" aria-expanded="${isExpanded}" aria-controls="${detailId}"><span class="dtdd-votes"><span class="dtdd-yes-count">${t.yesSum}</span>/<span class="dtdd-no-count">${t.noSum}</span></span> ${escapeHtml(name)}</button>${actionsHtml}${buildWarningDetailHtml(t, detailId, isExpanded, hasApiKey)}</li>`;
+  }
+
+  /**
+   * Build the pin and hide buttons shown when a row is hovered or focused
+   */
+  function buildRowActionsHtml(topicId, name, isPinned, isHidden) {
+    const pinButton = isPinned
+      ? `<button class="dtdd-row-action dtdd-row-pinned" data-action="unpin-topic" data-topic-id="${topicId}" title="Unpin" aria-label="Unpin ${escapeHtml(name)}">★</button>`
+      : `<button class="dtdd-row-action" data-action="pin-topic" data-topic-id="${topicId}" title="Pin" aria-label="Pin ${escapeHtml(name)}">☆</button>`;
+    const hideButton = isHidden
+      ? `<button class="dtdd-row-action" data-action="unhide-topic" data-topic-id="${topicId}" title="Stop hiding" aria-label="Stop hiding ${escapeHtml(name)}">↺</button>`
+      : `<button class="dtdd-row-action" data-action="hide-topic" data-topic-id="${topicId}" title="Hide" aria-label="Hide ${escapeHtml(name)}">×</button>`;
+
+    return `<span class="dtdd-row-actions">${pinButton}${hideButton}</span>`;
+  }
+
+  /**
+   * Normalize a topic stat's comments into [{ text, date }]
+   * The media endpoint usually returns only the top comment in `comment`
+   */
+  function getTopicComments(t) {
+    if (Array.isArray(t.comments) && t.comments.length > 0) {
+      return t.comments
+        .map((c) =>
+          typeof c === 'string'
+            ? { text: c, date: null }
+            : { text: c.comment ?? c.text, date: c.updatedAt ?? c.createdAt },
+        )
+        .filter((c) => c.text);
+    }
+    return t.comment ? [{ text: t.comment, date: null }] : [];
+  }
+
+  function formatDate(value) {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toLocaleDateString() : null;
+  }
+
+  /**
+   * Build the expandable detail for a warning row
+   * Comments often describe plot points, so they stay behind a spoiler reveal
+   */
+  function buildWarningDetailHtml(t, detailId, isExpanded, hasApiKey) {
+    const topic = t.topic;
+    const description = topic.description || topic.subtitle;
+    const comments = getTopicComments(t);
+    const updated = formatDate(t.updatedAt ?? t.createdAt);
+
+    const meta = [
+      `${t.yesSum} yes`,
+      `${t.noSum} no`,
+      topic.isSensitive ? 'sensitive topic' : null,
+      topic.isSpoiler ? 'spoiler topic' : null,
+      updated ? `updated ${updated}` : null,
+    ]
+      .filter(Boolean)
+      .join(' · ');
+
+    const questionHtml = topic.doesName
+      ? `<div class="dtdd-detail-question">${escapeHtml(topic.doesName)}?</div>`
+      : '';
+    const descriptionHtml = description
+      ? `<div class="dtdd-detail-description">${escapeHtml(description)}</div>`
+      : '';
+
+    let commentsHtml = '<div class="dtdd-detail-empty">No comments</div>';
+    if (comments.length > 0) {
+      const isRevealed = revealedTopicIds.has(topic.id);
+      const listHtml = comments
+        .map((c) => {
+          const date = formatDate(c.date);
+          const dateHtml = date
+            ? `<span class="dtdd-comment-date">${date}</span>`
+            : '';
+          return `<li class="dtdd-comment">${escapeHtml(c.text)}${dateHtml}</li>`;
+        })
+        .join('');
+      const label = `Show ${comments.length === 1 ? 'comment' : `${comments.length} comments`} (may contain spoilers)`;
+
+      commentsHtml = `
+        <div class="dtdd-spoiler">
+          <button class="dtdd-text-btn" data-action="reveal-comments" data-topic-id="${topic.id}" ${isRevealed ? 'hidden' : ''}>${label}</button>
+          <ul class="dtdd-comment-list" ${isRevealed ? '' : 'hidden'}>${listHtml}</ul>
+        </div>
+      `;
+    }
+
+    return `
+      <div class="dtdd-warning-detail" id="${detailId}" ${isExpanded ? '' : 'hidden'}>
+        ${questionHtml}
+        ${descriptionHtml}
+        <div class="dtdd-detail-meta">${meta}</div>
+        ${commentsHtml}
+        ${buildVoteHtml(topic.id, hasApiKey)}
+      </div>
+    `;
+  }
+
+  /**
+   * Build the yes/no vote controls for a topic
+   */
+  function buildVoteHtml(topicId, hasApiKey) {
+    if (!hasApiKey) {
+      return `<div class="dtdd-vote dtdd-vote-disabled">API key required to vote. <button class="dtdd-text-btn" data-action="open-settings">Add one in settings</button></div>`;
+    }
+
+    const vote = topicVotes.get(topicId);
+    const disabledAttr = vote?.pending ? 'disabled' : '';
+    const statusHtml = vote?.pending
+      ? '<span class="dtdd-vote-status">Saving...</span>'
+      : vote?.error
+        ? `<span class="dtdd-vote-status dtdd-vote-error">${escapeHtml(vote.error)}</span>`
+        : '';
+
+    return `
+      <div class="dtdd-vote">
+        <span class="dtdd-vote-label">Your vote</span>
+        <button class="dtdd-vote-btn dtdd-vote-yes" data-action="vote" data-topic-id="${topicId}" data-vote="yes" aria-pressed="${vote?.isYes === true}" ${disabledAttr}>Yes</button>
+        <button class="dtdd-vote-btn dtdd-vote-no" data-action="vote" data-topic-id="${topicId}" data-vote="no" aria-pressed="${vote?.isYes === false}" ${disabledAttr}>No</button>
+        ${statusHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Build the expanded list of every topic, grouped by DTDD topic category
+   * and split into Yes / No / Disputed / Unknown sections within each group
+   */
+  function buildAllWarningsHtml(
+    topics,
+    thresholds,
+    { topicCategories, groupState },
+    rowSettings,
+  ) {
+    const groups = new Map();
+    for (const t of topics) {
+      const groupName =
+        t.topic?.TopicCategory?.name ||
+        topicCategories.get(t.topic?.id) ||
+        'Uncategorized';
+      if (!groups.has(groupName)) groups.set(groupName, []);
+      groups
+        .get(groupName)
+        .push({ t, category: categorizeWarning(t, thresholds) });
+    }
+
+    const groupsHtml = [...groups.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([groupName, items]) => {
+        const yesCount = items.filter(
+          (item) => item.category === WARNING_CATEGORY.YES,
+        ).length;
+
+        const sectionsHtml = ALL_WARNINGS_SECTIONS.map(
+          ({ category, label }) => {
+            const sectionItems = items
+              .filter((item) => item.category === category)
+              .sort((a, b) =>
+                category === WARNING_CATEGORY.NO
+                  ? b.t.noSum - a.t.noSum
+                  : b.t.yesSum - a.t.yesSum,
+              );
+            if (sectionItems.length === 0) return '';
+
+            const itemsHtml = sectionItems
+              .map(({ t }) =>
+                buildWarningItemHtml(
+                  t,
+                  'all',
+                  `dtdd-all-item dtdd-status-${category}`,
+                  rowSettings,
+                ),
+              )
+              .join('');
+
+            return `
+            <div class="dtdd-status-section">
+              <div class="dtdd-status-label">${label}</div>
+              <ul class="dtdd-warning-list">${itemsHtml}</ul>
+            </div>
+          `;
+          },
+        ).join('');
+
+        const openAttr = groupState[groupName] ? 'open' : '';
+        return `
+          <details class="dtdd-group" data-group="${escapeHtml(groupName)}" ${openAttr}>
+            <summary class="dtdd-group-summary">${escapeHtml(groupName)} <span class="dtdd-group-count">${yesCount}/${items.length}</span></summary>
+            ${sectionsHtml}
+          </details>
+        `;
+      })
+      .join('');
+
+    return `
+      <div class="dtdd-all-warnings">
+        <input type="search" class="dtdd-all-filter" placeholder="Filter topics...">
+        ${groupsHtml}
+        <div class="dtdd-not-found dtdd-all-empty" hidden>No topics match</div>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the DTDD title picker shown when matching fails or is wrong
+   */
+  function buildPickerHtml({ candidates, query, hasSavedMatch }) {
+    const candidatesHtml = candidates.length
+      ? candidates
+          .map((item) => {
+            const details = [
+              item.releaseYear,
+              item.itemType?.name,
+              item.tmdbId ? `TMDB ${item.tmdbId}` : null,
+            ]
+              .filter(Boolean)
+              .join(' · ');
+            return `<li><button class="dtdd-picker-option" data-action="pick-media" data-media-id="${item.id}" data-media-name="${escapeHtml(item.name)}" data-media-year="${item.releaseYear ?? ''}"><span class="dtdd-picker-name">${escapeHtml(item.name)}</span> <span class="dtdd-picker-details">${escapeHtml(details)}</span></button></li>`;
+          })
+          .join('')
+      : '<li class="dtdd-not-found">No DTDD titles found</li>';
+
+    const resetHtml = hasSavedMatch
+      ? '<button class="dtdd-text-btn" data-action="reset-match">Forget saved match</button>'
+      : '';
+
+    return `
+      <div class="dtdd-picker">
+        <form class="dtdd-picker-search" data-action="search-candidates">
+          <input type="search" name="query" value="${escapeHtml(query || '')}" placeholder="Search DTDD titles...">
+        </form>
+        <ul class="dtdd-picker-list">${candidatesHtml}</ul>
+        <div class="dtdd-picker-actions">
+          <button class="dtdd-text-btn" data-action="cancel-picker">Cancel</button>
+          ${resetHtml}
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * Build the banner shown above the film when a dealbreaker topic is confirmed
+   */
+  function buildDealbreakerBannerHtml(hits, blurred) {
+    const hitsHtml = hits
+      .map((t) => {
+        const commentHtml = t.comment
+          ? `<span class="dtdd-banner-comment">${escapeHtml(t.comment)}</span>`
+          : '';
+        return `<li><span class="dtdd-banner-topic">${escapeHtml(t.topic.name.toLowerCase())}</span> <span class="dtdd-votes"><span class="dtdd-yes-count">${t.yesSum}</span>/<span class="dtdd-no-count">${t.noSum}</span></span>${commentHtml}</li>`;
+      })
+      .join('');
+    const acknowledgeHtml = blurred
+      ? '<button class="dtdd-banner-acknowledge" data-action="acknowledge-dealbreaker">Show images</button>'
+      : '<button class="dtdd-banner-acknowledge" data-action="dismiss-dealbreaker">Dismiss</button>';
+
+    return `
+      <div id="${BANNER_ID}" class="dtdd-dealbreaker-banner" role="alert">
+        <div class="dtdd-banner-title">⚠ Dealbreaker${hits.length > 1 ? 's' : ''} confirmed</div>
+        <ul class="dtdd-banner-list">${hitsHtml}</ul>
+        ${acknowledgeHtml}
+      </div>
+    `;
+  }
+
+  /**
+   * Show, replace or remove the dealbreaker banner and poster/backdrop blur
+   */
+  function renderDealbreakerBanner(hits, shouldBlur) {
+    document.getElementById(BANNER_ID)?.remove();
+    document.documentElement.classList.toggle(
+      BLUR_CLASS,
+      hits.length > 0 && shouldBlur,
+    );
+
+    if (hits.length === 0) return;
+
+    const insertPoint = document.querySelector(BANNER_INSERT_SELECTOR);
+    if (!insertPoint) return;
+
+    insertPoint.insertAdjacentHTML(
+      'afterbegin',
+      buildDealbreakerBannerHtml(hits, shouldBlur),
+    );
+
+    const banner = document.getElementById(BANNER_ID);
+    banner.addEventListener('click', (event) => {
+      const { action } = event.target.dataset;
+      if (action === 'acknowledge-dealbreaker') {
+        document.documentElement.classList.remove(BLUR_CLASS);
+        event.target.dataset.action = 'dismiss-dealbreaker';
+        event.target.textContent = 'Dismiss';
+      } else if (action === 'dismiss-dealbreaker') {
+        banner.remove();
+      }
+    });
+    log(
+      'Dealbreakers confirmed:',
+      hits.map((t) => t.topic.name),
+    );
   }
 
   /**
    * Inject or update panel in page
    */
   function injectPanel(html) {
+    lastPanelHtml = html;
     const existing = document.getElementById(PANEL_ID);
     if (existing) {
       existing.outerHTML = html;
-      attachSettingsHandler();
+      attachPanelHandlers();
       return true;
     }
 
@@ -463,92 +774,935 @@
     if (!insertPoint) return false;
 
     insertPoint.insertAdjacentHTML('beforeend', html);
-    attachSettingsHandler();
+    attachPanelHandlers();
     log('Panel injected');
     return true;
   }
 
   /**
-   * Attach click handler to settings button
+   * Attach delegated handlers for the panel's [data-action] controls
    */
-  function attachSettingsHandler() {
-    const btn = document.querySelector('.dtdd-settings-btn');
-    if (btn) {
-      btn.addEventListener('click', () => {
-        chrome.runtime.sendMessage({ name: 'OPEN_OPTIONS' });
-      });
+  function attachPanelHandlers() {
+    const panel = document.getElementById(PANEL_ID);
+    if (!panel) return;
+
+    panel.addEventListener('click', (event) => {
+      const target = event.target.closest('button[data-action]');
+      if (!target) return;
+
+      const { action } = target.dataset;
+      if (action === 'open-settings') {
+        DtddBrowser.sendMessage({ name: 'OPEN_OPTIONS' }).catch(() => {});
+      } else if (action === 'open-picker') {
+        showCandidatePicker();
+      } else if (action === 'cancel-picker') {
+        reloadPanel();
+      } else if (action === 'pick-media') {
+        handlePickMedia(target.dataset);
+      } else if (action === 'reset-match') {
+        handleResetMatch();
+      } else if (action === 'toggle-detail') {
+        toggleWarningDetail(target);
+      } else if (action === 'reveal-comments') {
+        revealedTopicIds.add(parseInt(target.dataset.topicId, 10));
+        target.hidden = true;
+        target.nextElementSibling.hidden = false;
+      } else if (action === 'vote') {
+        handleVote(
+          parseInt(target.dataset.topicId, 10),
+          target.dataset.vote === 'yes',
+        );
+      } else if (action === 'reveal-warnings') {
+        handleRevealWarnings();
+      } else if (action === 'toggle-all') {
+        showAllWarnings = !showAllWarnings;
+        renderLoadedPanel();
+      } else if (TOPIC_ACTION_MESSAGES[action]) {
+        handleTopicAction(action, parseInt(target.dataset.topicId, 10));
+      } else if (action === 'undo-topic') {
+        handleUndoTopicAction();
+      }
+    });
+
+    panel.addEventListener('change', (event) => {
+      if (event.target.classList.contains('dtdd-profile-select')) {
+        handleProfileSelect(event.target.value);
+      }
+    });
+
+    panel.addEventListener('input', (event) => {
+      if (event.target.classList.contains('dtdd-all-filter')) {
+        filterAllWarnings(panel, event.target.value);
+      }
+    });
+
+    // toggle doesn't bubble, so listen in the capture phase
+    panel.addEventListener(
+      'toggle',
+      (event) => {
+        if (!event.target.classList?.contains('dtdd-group')) return;
+        // Groups opened by the filter shouldn't change the remembered state
+        if (panel.querySelector('.dtdd-all-filter')?.value) return;
+        saveGroupState(event.target.dataset.group, event.target.open);
+      },
+      true,
+    );
+
+    panel.addEventListener('submit', (event) => {
+      if (event.target.dataset.action !== 'search-candidates') return;
+      event.preventDefault();
+      showCandidatePicker(event.target.elements.query.value.trim());
+    });
+  }
+
+  /**
+   * Show the DTDD title picker, searching `query` or the scraped titles
+   */
+  async function showCandidatePicker(query = null) {
+    const generation = pageGeneration;
+    injectPanel(buildPanelHtml('loading'));
+
+    const slug = getFilmSlug();
+    const { ids, filmInfo } = scrapeFilm(document, slug);
+
+    try {
+      const candidates = query
+        ? dedupeCandidates(
+            (
+              await fetchDtdd(
+                `${DTDD_SEARCH_API}?q=${encodeURIComponent(query)}`,
+              )
+            )?.items || [],
+          )
+        : await findDtddCandidates(ids, filmInfo);
+      const hasSavedMatch = Boolean(await getMediaMapping(slug));
+      if (generation !== pageGeneration) return;
+
+      injectPanel(
+        buildPanelHtml('picker', {
+          candidates,
+          query: query ?? filmInfo.title,
+          hasSavedMatch,
+        }),
+      );
+    } catch (err) {
+      console.error('[DTDD] Error searching candidates:', err);
+      if (generation !== pageGeneration) return;
+      injectPanel(buildPanelHtml('error', { errorCode: err.code }));
+    }
+  }
+
+  async function handlePickMedia({ mediaId, mediaName, mediaYear }) {
+    await saveMediaMapping(
+      getFilmSlug(),
+      {
+        id: parseInt(mediaId, 10),
+        name: mediaName,
+        releaseYear: mediaYear ? parseInt(mediaYear, 10) : null,
+      },
+      true,
+    );
+    await reloadPanel();
+  }
+
+  async function handleResetMatch() {
+    await removeMediaMapping(getFilmSlug());
+    await reloadPanel();
+  }
+
+  function toggleWarningDetail(toggle) {
+    const topicId = parseInt(toggle.dataset.topicId, 10);
+    const isExpanded = toggle.getAttribute('aria-expanded') !== 'true';
+
+    toggle.setAttribute('aria-expanded', String(isExpanded));
+    document.getElementById(toggle.getAttribute('aria-controls')).hidden =
+      !isExpanded;
+
+    if (isExpanded) {
+      expandedTopicIds.add(topicId);
+    } else {
+      expandedTopicIds.delete(topicId);
     }
   }
 
   /**
-   * Initialize extension
+   * Hide topics in the expanded list that don't match the filter text
    */
-  async function init() {
-    // Inject loading state first
-    const loadingHtml = buildPanelHtml('loading');
-    if (!injectPanel(loadingHtml)) {
-      // Wait for DOM with MutationObserver
-      const observer = new MutationObserver((mutations, obs) => {
-        if (injectPanel(loadingHtml)) {
-          obs.disconnect();
-          loadData();
+  function filterAllWarnings(panel, query) {
+    const normalized = query.toLowerCase().trim();
+    let anyVisible = false;
+
+    for (const group of panel.querySelectorAll('.dtdd-group')) {
+      let groupVisible = false;
+
+      for (const section of group.querySelectorAll('.dtdd-status-section')) {
+        let sectionVisible = false;
+        for (const item of section.querySelectorAll('.dtdd-all-item')) {
+          const matches = item.dataset.name.includes(normalized);
+          item.hidden = !matches;
+          sectionVisible ||= matches;
         }
+        section.hidden = !sectionVisible;
+        groupVisible ||= sectionVisible;
+      }
+
+      group.hidden = !groupVisible;
+      if (normalized && groupVisible) group.open = true;
+      anyVisible ||= groupVisible;
+    }
+
+    panel.querySelector('.dtdd-all-empty').hidden = anyVisible;
+  }
+
+  function sendVote(mediaId, topicId, isYes) {
+    return DtddBrowser.sendMessage({
+      name: 'DTDD_VOTE',
+      mediaId,
+      topicId,
+      isYes,
+    }).then(
+      (response) => response || { error: 'No response' },
+      (e) => ({ error: e.message }),
+    );
+  }
+
+  function applyVoteCounts(stat, isYes, delta) {
+    if (isYes === true) stat.yesSum += delta;
+    if (isYes === false) stat.noSum += delta;
+  }
+
+  /**
+   * Vote on a topic, updating the counts immediately and rolling back on error
+   */
+  async function handleVote(topicId, isYes) {
+    const stat = loadedPanel?.data.topics.find((t) => t.topic?.id === topicId);
+    const previous = topicVotes.get(topicId);
+    if (!stat || previous?.pending || previous?.isYes === isYes) return;
+
+    const previousIsYes = previous?.isYes ?? null;
+    const { mediaId } = loadedPanel.data;
+
+    applyVoteCounts(stat, previousIsYes, -1);
+    applyVoteCounts(stat, isYes, 1);
+    topicVotes.set(topicId, { isYes, pending: true, error: null });
+    await renderLoadedPanel();
+
+    const response = await sendVote(mediaId, topicId, isYes);
+
+    // The panel may have moved on to another film while the vote was in flight
+    if (loadedPanel?.data.mediaId !== mediaId) return;
+
+    if (response.error) {
+      console.error('[DTDD] Vote failed:', response.error);
+      applyVoteCounts(stat, isYes, -1);
+      applyVoteCounts(stat, previousIsYes, 1);
+      topicVotes.set(topicId, {
+        isYes: previousIsYes,
+        pending: false,
+        error: response.error,
       });
+    } else {
+      log('Voted', isYes ? 'yes' : 'no', 'on topic', topicId);
+      topicVotes.set(topicId, { isYes, pending: false, error: null });
+    }
 
-      observer.observe(document.body, { childList: true, subtree: true });
-      setTimeout(() => observer.disconnect(), 10_000);
-      return;
+    await renderLoadedPanel();
+  }
+
+  /**
+   * Pin, unpin, hide or unhide a topic from its panel row
+   * Writes the same storage as the options page; the change listener then
+   * re-renders this panel and any other open ones
+   */
+  async function handleTopicAction(action, topicId) {
+    const data = await DtddBrowser.storage.sync.get([
+      STORAGE_KEYS.PINNED_TOPICS,
+      STORAGE_KEYS.HIDDEN_TOPICS,
+    ]);
+    const previous = {
+      [STORAGE_KEYS.PINNED_TOPICS]: data[STORAGE_KEYS.PINNED_TOPICS] || [],
+      [STORAGE_KEYS.HIDDEN_TOPICS]: data[STORAGE_KEYS.HIDDEN_TOPICS] || [],
+    };
+    const pinnedIds = new Set(previous[STORAGE_KEYS.PINNED_TOPICS]);
+    const hiddenIds = new Set(previous[STORAGE_KEYS.HIDDEN_TOPICS]);
+
+    // A topic is either pinned or hidden, never both
+    if (action === 'pin-topic') {
+      pinnedIds.add(topicId);
+      hiddenIds.delete(topicId);
+    } else if (action === 'unpin-topic') {
+      pinnedIds.delete(topicId);
+    } else if (action === 'hide-topic') {
+      hiddenIds.add(topicId);
+      pinnedIds.delete(topicId);
+    } else if (action === 'unhide-topic') {
+      hiddenIds.delete(topicId);
     }
 
-    await loadData();
+    const name =
+      loadedPanel?.data.topics.find((t) => t.topic?.id === topicId)?.topic
+        .name ?? 'topic';
+    showTopicUndo(`${TOPIC_ACTION_MESSAGES[action]} "${name}"`, previous);
+
+    await DtddBrowser.storage.sync.set({
+      [STORAGE_KEYS.PINNED_TOPICS]: [...pinnedIds],
+      [STORAGE_KEYS.HIDDEN_TOPICS]: [...hiddenIds],
+    });
+  }
+
+  async function handleUndoTopicAction() {
+    if (!topicUndo) return;
+    const { previous } = topicUndo;
+    clearTopicUndo();
+    await DtddBrowser.storage.sync.set(previous);
+  }
+
+  /**
+   * Offer to undo a row action until the toast times out
+   */
+  function showTopicUndo(message, previous) {
+    clearTopicUndo();
+    topicUndo = {
+      message,
+      previous,
+      timer: setTimeout(() => {
+        topicUndo = null;
+        document.querySelector(`#${PANEL_ID} .dtdd-toast`)?.remove();
+      }, TOPIC_UNDO_MS),
+    };
+  }
+
+  function clearTopicUndo() {
+    if (!topicUndo) return;
+    clearTimeout(topicUndo.timer);
+    topicUndo = null;
+    document.querySelector(`#${PANEL_ID} .dtdd-toast`)?.remove();
+  }
+
+  /**
+   * Switch profile or toggle group watch from the header
+   * Both only change storage; the change listener re-renders the panel
+   */
+  async function handleProfileSelect(value) {
+    const isGroupWatch = value === GROUP_WATCH_OPTION;
+    await DtddBrowser.storage.sync.set({
+      [STORAGE_KEYS.GROUP_WATCH]: isGroupWatch,
+    });
+    if (isGroupWatch) return;
+
+    try {
+      const response = await DtddBrowser.sendMessage({
+        name: 'DTDD_PROFILE',
+        action: 'switch',
+        profileId: value,
+      });
+      if (response?.error) throw new Error(response.error);
+    } catch (e) {
+      console.error('[DTDD] Profile switch failed:', e.message);
+    }
+  }
+
+  async function handleRevealWarnings() {
+    loadedPanel.settings.isRedacted = false;
+    await renderLoadedPanel();
+
+    const data = await DtddBrowser.storage.local.get(
+      LOCAL_STORAGE_KEYS.REVEALED_FILMS,
+    );
+    const revealedFilms = data[LOCAL_STORAGE_KEYS.REVEALED_FILMS] || {};
+    revealedFilms[getFilmSlug()] = Date.now();
+
+    // Keep only the most recent reveals
+    const slugs = Object.keys(revealedFilms).sort(
+      (a, b) => revealedFilms[b] - revealedFilms[a],
+    );
+    for (const slug of slugs.slice(REVEALED_FILMS_LIMIT)) {
+      delete revealedFilms[slug];
+    }
+
+    await DtddBrowser.storage.local.set({
+      [LOCAL_STORAGE_KEYS.REVEALED_FILMS]: revealedFilms,
+    });
+  }
+
+  async function isFilmRevealed(slug) {
+    const data = await DtddBrowser.storage.local.get(
+      LOCAL_STORAGE_KEYS.REVEALED_FILMS,
+    );
+    return Boolean(data[LOCAL_STORAGE_KEYS.REVEALED_FILMS]?.[slug]);
+  }
+
+  async function saveGroupState(groupName, isOpen) {
+    const data = await DtddBrowser.storage.local.get(
+      LOCAL_STORAGE_KEYS.GROUP_STATE,
+    );
+    const groupState = data[LOCAL_STORAGE_KEYS.GROUP_STATE] || {};
+    groupState[groupName] = isOpen;
+    await DtddBrowser.storage.local.set({
+      [LOCAL_STORAGE_KEYS.GROUP_STATE]: groupState,
+    });
   }
 
-  async function loadData() {
+  /**
+   * Map topic IDs to their DTDD category name, for media responses that
+   * don't embed the category on each topic
+   */
+  async function loadTopicCategories() {
+    if (topicCategories) return topicCategories;
+
+    let categories = null;
     try {
-      // Load settings from storage
-      const storageData = await chrome.storage.sync.get([
-        STORAGE_KEY_PINNED,
-        STORAGE_KEY_MAX_WARNINGS,
+      categories = await fetchDtdd(DTDD_CATEGORIES_API);
+    } catch (err) {
+      // Media topics usually embed their category, so this is only a fallback
+      console.error('[DTDD] Failed to load topic categories:', err);
+      return new Map();
+    }
+
+    topicCategories = new Map(
+      (Array.isArray(categories) ? categories : []).map((topic) => [
+        topic.id,
+        topic.TopicCategory?.name,
+      ]),
+    );
+    return topicCategories;
+  }
+
+  /**
+   * Re-render the last loaded panel without refetching from DTDD
+   */
+  async function renderLoadedPanel() {
+    if (!loadedPanel) return;
+    // Spoiler-safe mode hides the full list along with its toggle
+    if (loadedPanel.settings.isRedacted) showAllWarnings = false;
+
+    const generation = pageGeneration;
+    let allWarnings = null;
+    if (showAllWarnings) {
+      const [categories, data] = await Promise.all([
+        loadTopicCategories(),
+        DtddBrowser.storage.local.get(LOCAL_STORAGE_KEYS.GROUP_STATE),
       ]);
-      const pinnedIds = new Set(storageData[STORAGE_KEY_PINNED] || []);
-      const maxWarnings =
-        storageData[STORAGE_KEY_MAX_WARNINGS] ?? DEFAULT_MAX_WARNINGS;
+      if (generation !== pageGeneration) return;
+      allWarnings = {
+        topicCategories: categories,
+        groupState: data[LOCAL_STORAGE_KEYS.GROUP_STATE] || {},
+      };
+    }
+
+    injectPanel(
+      buildPanelHtml('loaded', loadedPanel.data, {
+        ...loadedPanel.settings,
+        allWarnings,
+      }),
+    );
+    reportPanelSummary();
+  }
+
+  async function reloadPanel() {
+    setPanelOutcome(null);
+    injectPanel(buildPanelHtml('loading'));
+    await loadData();
+  }
+
+  /**
+   * Look up which pinned topics are confirmed for a poster's film
+   * Returns null when the film can't be matched on DTDD
+   */
+  async function lookupPosterWarnings(
+    slug,
+    { pinnedIds, dealbreakerIds, thresholds },
+  ) {
+    const film = await lookupFilm(slug);
+    if (!film) return null;
+
+    const confirmed = film.topics.filter(
+      (t) =>
+        (pinnedIds.has(t.topic?.id) || dealbreakerIds.has(t.topic?.id)) &&
+        categorizeWarning(t, thresholds) === WARNING_CATEGORY.YES,
+    );
+    const hasDealbreaker = confirmed.some((t) =>
+      dealbreakerIds.has(t.topic?.id),
+    );
+
+    return { mediaId: film.media.id, confirmed, hasDealbreaker };
+  }
+
+  /**
+   * Build the small badge overlaid on a poster
+   */
+  function buildPosterBadgeHtml(result) {
+    if (result.confirmed.length === 0) {
+      return `<span class="dtdd-poster-badge dtdd-poster-badge-clear" title="No pinned warnings confirmed">✓</span>`;
+    }
+
+    const names = result.confirmed
+      .map((t) => t.topic.name.toLowerCase())
+      .join(', ');
+    const dealbreakerClass = result.hasDealbreaker
+      ? 'dtdd-poster-badge-dealbreaker'
+      : '';
+    return `<span class="dtdd-poster-badge ${dealbreakerClass}" title="${escapeHtml(names)}">${result.hasDealbreaker ? '!' : result.confirmed.length}</span>`;
+  }
+
+  /**
+   * Decorate every poster on list, watchlist, search and members pages
+   * Posters are only looked up once they approach the viewport, through a
+   * throttled queue, so large watchlists don't flood DTDD with requests
+   */
+  async function initPosterBadges() {
+    const generation = pageGeneration;
+    const storageData = await DtddBrowser.storage.sync.get([
+      STORAGE_KEYS.POSTER_BADGES,
+      STORAGE_KEYS.PINNED_TOPICS,
+      STORAGE_KEYS.DEALBREAKER_TOPICS,
+      STORAGE_KEYS.THRESHOLDS,
+      STORAGE_KEYS.TOPIC_THRESHOLDS,
+      STORAGE_KEYS.PROFILES,
+      STORAGE_KEYS.GROUP_WATCH,
+    ]);
+    const pinnedIds = getTopicIds(storageData, STORAGE_KEYS.PINNED_TOPICS);
+    const dealbreakerIds = getTopicIds(
+      storageData,
+      STORAGE_KEYS.DEALBREAKER_TOPICS,
+    );
+    const thresholds = resolveThresholds(storageData);
+
+    if (
+      generation !== pageGeneration ||
+      !storageData[STORAGE_KEYS.POSTER_BADGES] ||
+      pinnedIds.size + dealbreakerIds.size === 0
+    ) {
+      return;
+    }
+
+    const batch = createLookupBatch();
+    // The same film can appear more than once on a page, so share lookups by slug
+    const lookups = new Map();
+
+    function decoratePoster(poster) {
+      const slug = getPosterSlug(poster);
+      if (!slug) return;
+
+      if (!lookups.has(slug)) {
+        lookups.set(
+          slug,
+          // Queued lookups are dropped once the user navigates away
+          batch
+            .lookup(() =>
+              lookupPosterWarnings(slug, {
+                pinnedIds,
+                dealbreakerIds,
+                thresholds,
+              }),
+            )
+            .catch((err) => {
+              console.error('[DTDD] Poster lookup failed:', slug, err);
+              return null;
+            }),
+        );
+      }
+
+      lookups.get(slug).then((result) => {
+        if (generation !== pageGeneration || !result) return;
+        if (poster.querySelector('.dtdd-poster-badge')) return;
+        poster.classList.add('dtdd-poster-host');
+        poster.insertAdjacentHTML('beforeend', buildPosterBadgeHtml(result));
+      });
+    }
+
+    const visibility = new IntersectionObserver(
+      (entries) => {
+        for (const entry of entries) {
+          if (!entry.isIntersecting) continue;
+          visibility.unobserve(entry.target);
+          decoratePoster(entry.target);
+        }
+      },
+      { rootMargin: POSTER_VISIBILITY_MARGIN },
+    );
+
+    function observePosters() {
+      for (const poster of document.querySelectorAll(POSTER_SELECTOR)) {
+        // Skip posters already seen and inner elements of a matched poster
+        if (poster.dataset.dtddObserved) continue;
+        if (poster.parentElement?.closest(POSTER_SELECTOR)) continue;
+        poster.dataset.dtddObserved = 'true';
+        visibility.observe(poster);
+      }
+    }
+
+    observePosters();
+
+    // Grids lazy-load and paginate, so keep watching for new posters
+    let scanScheduled = false;
+    const scanner = new MutationObserver(() => {
+      if (scanScheduled) return;
+      scanScheduled = true;
+      requestAnimationFrame(() => {
+        scanScheduled = false;
+        observePosters();
+      });
+    });
+    scanner.observe(document.body, { childList: true, subtree: true });
+
+    pageCleanups.push(() => {
+      batch.stop();
+      scanner.disconnect();
+      visibility.disconnect();
+      // Let posters kept across a soft navigation be picked up again
+      for (const poster of document.querySelectorAll('[data-dtdd-observed]')) {
+        delete poster.dataset.dtddObserved;
+      }
+    });
+
+    log('Poster badges enabled for', pinnedIds.size, 'pinned topics');
+  }
+
+  /**
+   * Set up the panel on a film page
+   * The sidebar is watched for as long as the page is open, so the panel is
+   * injected once it appears and restored if Letterboxd re-renders it.
+   * After a soft navigation the previous film's content can linger briefly;
+   * scraping it would match the wrong film, so wait (up to a limit) until the
+   * page shows the film in the URL.
+   */
+  function initFilmPanel() {
+    const generation = pageGeneration;
+    const waitDeadline = Date.now() + STALE_PAGE_WAIT_MS;
+    let isLoadStarted = false;
+
+    function isStalePage() {
+      const renderedSlug = getRenderedFilmSlug();
+      if (!renderedSlug || renderedSlug === getFilmSlug()) return false;
+      if (Date.now() < waitDeadline) return true;
+
+      log('Page still shows', renderedSlug, '- loading anyway');
+      return false;
+    }
+
+    function ensurePanel() {
+      if (generation !== pageGeneration) return;
+      if (document.getElementById(PANEL_ID)) return;
+      if (!isLoadStarted && isStalePage()) return;
+      if (!injectPanel(lastPanelHtml ?? buildPanelHtml('loading'))) return;
+      if (isLoadStarted) return;
+      isLoadStarted = true;
+      loadData(generation);
+    }
+
+    ensurePanel();
+
+    let checkScheduled = false;
+    const observer = new MutationObserver(() => {
+      if (checkScheduled) return;
+      checkScheduled = true;
+      requestAnimationFrame(() => {
+        checkScheduled = false;
+        ensurePanel();
+      });
+    });
+    observer.observe(document.body, { childList: true, subtree: true });
+    // Load once the wait is over even if the page doesn't change again
+    const waitTimer = setTimeout(ensurePanel, STALE_PAGE_WAIT_MS);
+    pageCleanups.push(() => {
+      observer.disconnect();
+      clearTimeout(waitTimer);
+    });
+  }
+
+  /**
+   * Identify the current page: subpages of a film share the film's panel
+   */
+  function getPageKey() {
+    const slug = getFilmSlug();
+    return slug ? `film:${slug}` : location.pathname;
+  }
+
+  /**
+   * Remove everything set up for the current page and reset per-film state
+   */
+  function teardownPage() {
+    pageGeneration++;
+    for (const cleanup of pageCleanups.splice(0)) cleanup();
+
+    document.getElementById(PANEL_ID)?.remove();
+    renderDealbreakerBanner([], false);
+    for (const badge of document.querySelectorAll('.dtdd-poster-badge')) {
+      badge.remove();
+    }
+
+    clearTopicUndo();
+    loadedPanel = null;
+    setPanelOutcome(null);
+    lastPanelHtml = null;
+    showAllWarnings = false;
+    expandedTopicIds.clear();
+    revealedTopicIds.clear();
+    topicVotes.clear();
+  }
+
+  /**
+   * Rebuild for the current URL if it points at a different page
+   */
+  function handleNavigation({ force = false } = {}) {
+    const pageKey = getPageKey();
+    if (!force && pageKey === currentPageKey) return;
+
+    if (currentPageKey !== null) {
+      log('Navigated to', location.pathname);
+      teardownPage();
+    }
+    currentPageKey = pageKey;
+
+    if (getFilmSlug()) {
+      initFilmPanel();
+    } else {
+      initPosterBadges();
+    }
+  }
+
+  /**
+   * Follow soft navigations and back/forward cache restores
+   * Content scripts can't see the page's history.pushState calls, so rely on
+   * the Navigation API where available and poll the URL otherwise
+   */
+  function watchNavigation() {
+    window.addEventListener('popstate', () => handleNavigation());
+    window.addEventListener('pageshow', (event) => {
+      // A restored page may be showing data from long ago
+      if (event.persisted) handleNavigation({ force: true });
+    });
+
+    if (window.navigation) {
+      window.navigation.addEventListener('navigatesuccess', () =>
+        handleNavigation(),
+      );
+    } else {
+      setInterval(() => handleNavigation(), NAVIGATION_POLL_MS);
+    }
+  }
+
+  /**
+   * Initialize extension
+   */
+  function init() {
+    // Film pages report again as they load; other pages only report this
+    reportPanelSummary();
+    handleNavigation();
+    watchNavigation();
+    DtddBrowser.storage.onChanged.addListener(handleSettingsChange);
+    DtddBrowser.runtime.onMessage.addListener(handleRuntimeMessage);
+  }
+
+  /**
+   * Read the panel settings from sync storage
+   */
+  async function loadPanelSettings(slug) {
+    const storageData = await DtddBrowser.storage.sync.get(PANEL_SETTING_KEYS);
+    const profiles = storageData[STORAGE_KEYS.PROFILES] || {};
+
+    return {
+      ...getWarningSettings(storageData),
+      dealbreakerBlur: storageData[STORAGE_KEYS.DEALBREAKER_BLUR] ?? false,
+      isRedacted:
+        (storageData[STORAGE_KEYS.SPOILER_SAFE] ?? false) &&
+        !(await isFilmRevealed(slug)),
+      hasApiKey: Boolean(storageData[STORAGE_KEYS.API_KEY]),
+      profiles: {
+        list: Object.entries(profiles).map(([id, profile]) => ({
+          id,
+          name: profile.name,
+        })),
+        activeId:
+          storageData[STORAGE_KEYS.ACTIVE_PROFILE] || DEFAULT_PROFILE_ID,
+        groupWatch: storageData[STORAGE_KEYS.GROUP_WATCH] ?? false,
+      },
+    };
+  }
+
+  /**
+   * Show the dealbreaker banner for the loaded film's confirmed dealbreakers
+   */
+  function renderFilmBanner() {
+    const { data, settings } = loadedPanel;
+    renderDealbreakerBanner(
+      data.topics.filter(
+        (t) =>
+          settings.dealbreakerIds.has(t.topic?.id) &&
+          categorizeWarning(t, settings.thresholds) === WARNING_CATEGORY.YES,
+      ),
+      settings.dealbreakerBlur,
+    );
+  }
+
+  async function loadData(generation = pageGeneration) {
+    const slug = getFilmSlug();
+
+    try {
+      const settings = await loadPanelSettings(slug);
 
-      const media = await findDtddMedia();
+      const scraped = scrapeFilm(document, slug);
+      recordScrapeProblems(slug, scraped).catch((err) =>
+        console.error('[DTDD] Failed to record scrape problems:', err),
+      );
+
+      // A saved match still works when the page can't be read
+      const media = await resolveMedia(slug, async () =>
+        scraped.isUnreadable
+          ? null
+          : findDtddMedia(scraped.ids, scraped.filmInfo),
+      );
+      if (generation !== pageGeneration) return;
 
       if (!media) {
-        injectPanel(buildPanelHtml('not-found'));
+        const state = scraped.isUnreadable ? 'unreadable' : 'not-found';
+        setPanelOutcome({ state, errorCode: null });
+        renderDealbreakerBanner([], false);
+        injectPanel(buildPanelHtml(state));
         return;
       }
 
       log('Found media:', media.id, media.name);
 
       const details = await fetchMediaDetails(media.id);
+      if (generation !== pageGeneration) return;
 
       if (!details?.topicItemStats) {
+        setPanelOutcome({ state: 'not-found', errorCode: null });
+        renderDealbreakerBanner([], false);
         injectPanel(buildPanelHtml('not-found'));
         return;
       }
 
       log('Loaded', details.topicItemStats.length, 'topics');
-      log('Pinned topic IDs:', [...pinnedIds]);
-      log('Max warnings to display:', maxWarnings);
-
-      injectPanel(
-        buildPanelHtml(
-          'loaded',
-          {
-            mediaId: media.id,
-            topics: details.topicItemStats,
-          },
-          pinnedIds,
-          maxWarnings,
-        ),
-      );
+      log('Pinned topic IDs:', [...settings.pinnedIds]);
+      log('Dealbreaker topic IDs:', [...settings.dealbreakerIds]);
+      log('Max warnings to display:', settings.maxWarnings);
+      log('Thresholds:', settings.thresholds);
+
+      loadedPanel = {
+        data: {
+          mediaId: media.id,
+          mediaName: media.name,
+          isManual: media.isManual ?? false,
+          topics: details.topicItemStats,
+        },
+        settings,
+      };
+      panelOutcome = { state: 'loaded', errorCode: null };
+      renderFilmBanner();
+      await renderLoadedPanel();
     } catch (err) {
       console.error('[DTDD] Error loading data:', err);
-      injectPanel(buildPanelHtml('error'));
+      if (generation !== pageGeneration) return;
+      setPanelOutcome({ state: 'error', errorCode: err.code ?? null });
+      renderDealbreakerBanner([], false);
+      injectPanel(buildPanelHtml('error', { errorCode: err.code }));
+    }
+  }
+
+  /**
+   * Re-render the loaded panel when its settings change in another tab or
+   * the options page, reusing the topics already fetched from DTDD
+   */
+  async function handleSettingsChange(changes, areaName) {
+    if (areaName !== 'sync' || !loadedPanel) return;
+    if (!PANEL_SETTING_KEYS.some((key) => key in changes)) return;
+
+    const generation = pageGeneration;
+    const settings = await loadPanelSettings(getFilmSlug());
+    if (generation !== pageGeneration || !loadedPanel) return;
+
+    // A reveal in this tab may not be saved yet, so only recheck redaction
+    // when spoiler-safe mode itself was toggled
+    if (!(STORAGE_KEYS.SPOILER_SAFE in changes)) {
+      settings.isRedacted = loadedPanel.settings.isRedacted;
+    }
+    loadedPanel.settings = settings;
+    log('Settings changed:', Object.keys(changes));
+
+    if (BANNER_SETTING_KEYS.some((key) => key in changes)) {
+      renderFilmBanner();
+    }
+    // Leave an open match picker alone; it re-renders when closed
+    if (document.querySelector(`#${PANEL_ID} .dtdd-picker`)) return;
+    await renderLoadedPanel();
+  }
+
+  /**
+   * Summary of the film panel for the toolbar popup
+   * Only the settled state is reported until the warnings have loaded; in
+   * spoiler-safe mode the unrevealed warnings are reported as a count
+   */
+  function getPanelSummary() {
+    const slug = getFilmSlug();
+    if (!slug) return { state: 'none' };
+
+    const title = scrapeFilm(document, slug).filmInfo.title;
+    if (panelOutcome?.state !== 'loaded' || !loadedPanel) {
+      return {
+        state: panelOutcome?.state ?? 'loading',
+        errorCode: panelOutcome?.errorCode ?? null,
+        slug,
+        title,
+      };
+    }
+
+    const { data, settings } = loadedPanel;
+    const { pinned, warnings, topicCount } = summarizeWarnings(
+      data.topics,
+      settings,
+    );
+    return {
+      state: 'loaded',
+      slug,
+      title,
+      mediaId: data.mediaId,
+      mediaName: data.mediaName,
+      dtddUrl: `${DTDD_BASE_URL}/media/${data.mediaId}`,
+      pinned,
+      warnings: settings.isRedacted ? [] : warnings,
+      redactedCount: settings.isRedacted ? warnings.length : 0,
+      topicCount,
+    };
+  }
+
+  function setPanelOutcome(outcome) {
+    panelOutcome = outcome;
+    reportPanelSummary();
+  }
+
+  /**
+   * Send the panel summary to the background script for the toolbar badge,
+   * unless it hasn't changed since the last one sent
+   */
+  function reportPanelSummary() {
+    const summary = getPanelSummary();
+    const serialized = JSON.stringify(summary);
+    if (serialized === lastReportedSummary) return;
+    lastReportedSummary = serialized;
+
+    DtddBrowser.sendMessage({ name: 'DTDD_TAB_SUMMARY', summary }).catch(
+      () => {},
+    );
+  }
+
+  /**
+   * Answer messages from the toolbar popup
+   */
+  function handleRuntimeMessage(msg, sender, sendResponse) {
+    if (msg.name === 'DTDD_PANEL_SUMMARY') {
+      sendResponse(getPanelSummary());
     }
+    return false;
+  }
+
+  // The test suite defines this global before loading the script into its DOM
+  // harness, to render the panel's states directly. The extension never does.
+  // The shared logic is reached through its own globals instead
+  if (globalThis.DtddTestExports) {
+    globalThis.DtddTestExports.buildPanelHtml = buildPanelHtml;
   }
 
   if (document.readyState === 'loading') {
@@ -0,0 +1,690 @@
+/**
+ * Letterboxd DTDD Integration - Film Lookup
+ * Reads Letterboxd film pages and finds their DTDD media, shared by the
+ * content script and the extension pages
+ */
+
+const DtddFilmLookup = (function () {
+  'use strict';
+
+  const FILM_PAGE_PATTERN = /^\/film\/([^/]+)/;
+  // Older grids use data-film-slug, newer React posters use data-item-slug
+  const POSTER_SELECTOR = '[data-film-slug], [data-item-slug]';
+  const {
+    LOCAL_STORAGE_KEYS,
+    DTDD_SEARCH_API,
+    DTDD_MEDIA_API,
+    LETTERBOXD_FILM_URL,
+  } = DtddSettings;
+  // Lookups of many films at once: poster badges, list scans, history checks
+  const LOOKUP_CONCURRENCY = 2; // Films looked up at the same time
+  const LOOKUP_REQUEST_DELAY_MS = 300; // Pause after each lookup before starting the next
+
+  // Messages for the error codes reported by the background script
+  const ERROR_MESSAGES = {
+    network: "Couldn't reach Does The Dog Die",
+    timeout: 'Does The Dog Die took too long to respond',
+    auth: 'Your DTDD API key was rejected - check it in settings',
+    'rate-limited': 'Too many requests to DTDD - try again in a minute',
+    'not-found': 'This title no longer exists on DTDD',
+    server: 'Does The Dog Die is having problems - try again later',
+    extension: 'The extension was updated - reload the page',
+  };
+  const DEFAULT_ERROR_MESSAGE = 'Failed to load warnings';
+
+  function log(...args) {
+    console.debug('[DTDD]', ...args);
+  }
+
+  /**
+   * Escape text for the HTML strings the panel and extension pages build
+   */
+  function escapeHtml(str) {
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  }
+
+  // =============================================================================
+  // FILM PAGE SCRAPING
+  // =============================================================================
+
+  /**
+   * The film slug in a Letterboxd path, including its subpages like
+   * /film/parasite-2019/reviews/, or null for other pages
+   */
+  function getFilmSlugFromPath(pathname) {
+    return pathname.match(FILM_PAGE_PATTERN)?.[1] || null;
+  }
+
+  function parseImdbId(url) {
+    return url?.match(/imdb\.com\/title\/(tt\d+)/)?.[1] || null;
+  }
+
+  /**
+   * TMDB ID and type from a themoviedb.org URL, or null if it isn't one
+   */
+  function parseTmdbUrl(url) {
+    const match = url?.match(/themoviedb\.org\/(tv|movie)\/(\d+)/);
+    return match ? { tmdbId: match[2], isTv: match[1] === 'tv' } : null;
+  }
+
+  /**
+   * Split a "Title (2008)" page title into its title and year
+   */
+  function parseTitleWithYear(text) {
+    const match = text?.trim().match(/^(.+?)\s*\((\d{4})\)$/);
+    return match
+      ? { title: match[1], year: match[2] }
+      : { title: text?.trim() || null };
+  }
+
+  /**
+   * Letterboxd's own markup: the footer's IMDb/TMDB buttons and the header
+   */
+  function readPageMarkup(root) {
+    const result = {
+      title: root.querySelector('.headline-1 span')?.textContent?.trim(),
+      year: root.querySelector('.releasedate a')?.textContent?.trim(),
+      nativeTitle: root
+        .querySelector('.originalname .quoted-creative-work-title')
+        ?.textContent?.trim(),
+    };
+
+    for (const link of root.querySelectorAll('.micro-button')) {
+      const text = link.textContent?.trim();
+      if (text === 'IMDb') {
+        result.imdbId = parseImdbId(link.href);
+      } else if (text === 'TMDB') {
+        Object.assign(result, parseTmdbUrl(link.href));
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Any IMDb or TMDB link on the page, whatever its text or styling
+   */
+  function readExternalLinks(root) {
+    const imdbLink = root.querySelector('a[href*="imdb.com/title/"]');
+    const tmdbLink = root.querySelector(
+      'a[href*="themoviedb.org/movie/"], a[href*="themoviedb.org/tv/"]',
+    );
+    return {
+      imdbId: parseImdbId(imdbLink?.href),
+      ...parseTmdbUrl(tmdbLink?.href),
+    };
+  }
+
+  /**
+   * Data attributes on the page body and the film's own poster
+   */
+  function readDataAttributes(root, slug) {
+    const tmdbElement = root.querySelector('[data-tmdb-id]');
+    const tmdbType = tmdbElement?.dataset.tmdbType;
+    const poster = [...root.querySelectorAll('[data-film-slug]')].find(
+      (element) => element.dataset.filmSlug === slug,
+    );
+    return {
+      tmdbId: tmdbElement?.dataset.tmdbId,
+      isTv: tmdbType ? tmdbType === 'tv' : null,
+      title: poster?.dataset.filmName,
+      year: poster?.dataset.filmReleaseYear,
+    };
+  }
+
+  /**
+   * The schema.org Movie or TVSeries Letterboxd embeds for search engines
+   */
+  function readJsonLd(root) {
+    for (const script of root.querySelectorAll(
+      'script[type="application/ld+json"]',
+    )) {
+      let data;
+      try {
+        // Letterboxd wraps the JSON in a commented-out CDATA section
+        data = JSON.parse(
+          script.textContent.replace(/\/\*.*?\*\//gs, '').trim(),
+        );
+      } catch {
+        continue;
+      }
+      const type = data?.['@type'];
+      if (type !== 'Movie' && type !== 'TVSeries') continue;
+
+      const sameAs = [].concat(data.sameAs || []);
+      const date =
+        data.releasedEvent?.[0]?.startDate ??
+        data.datePublished ??
+        data.dateCreated;
+      return {
+        title: data.name,
+        year: String(date ?? '').match(/^\d{4}/)?.[0],
+        imdbId: sameAs.map(parseImdbId).find(Boolean),
+        ...sameAs.map(parseTmdbUrl).find(Boolean),
+        isTv: type === 'TVSeries',
+      };
+    }
+    return {};
+  }
+
+  /**
+   * Open Graph tags, whose title reads "Title (2008)"
+   */
+  function readMetaTags(root) {
+    const ogTitle = root
+      .querySelector('meta[property="og:title"]')
+      ?.getAttribute('content');
+    return parseTitleWithYear(ogTitle);
+  }
+
+  /**
+   * The film's slug, as a last resort for a title to search for
+   * Slugs of films sharing a title end with the year, e.g. parasite-2019
+   */
+  function readUrlSlug(root, slug) {
+    if (!slug) return {};
+    const match = slug.match(/^(.+?)(?:-(\d{4}))?$/);
+    return { title: match[1].replace(/-/g, ' '), year: match[2] };
+  }
+
+  // Where film details are read from, most reliable first; later strategies
+  // only fill in fields the earlier ones couldn't find
+  const SCRAPE_STRATEGIES = [
+    { name: 'markup', read: readPageMarkup },
+    { name: 'links', read: readExternalLinks },
+    { name: 'data-attributes', read: readDataAttributes },
+    { name: 'json-ld', read: readJsonLd },
+    { name: 'meta-tags', read: readMetaTags },
+    { name: 'url-slug', read: readUrlSlug },
+  ];
+  const SCRAPE_FIELDS = [
+    'imdbId',
+    'tmdbId',
+    'isTv',
+    'title',
+    'year',
+    'nativeTitle',
+  ];
+
+  /**
+   * Read a film's IDs and title from its Letterboxd page
+   * `sources` names the strategy each field came from; `isUnreadable` is set
+   * when nothing on the page itself identifies the film
+   */
+  function scrapeFilm(root, slug) {
+    const fields = Object.fromEntries(SCRAPE_FIELDS.map((f) => [f, null]));
+    const sources = { ...fields };
+
+    for (const { name, read } of SCRAPE_STRATEGIES) {
+      let result;
+      try {
+        result = read(root, slug);
+      } catch (err) {
+        log(`Scrape strategy "${name}" failed:`, err);
+        continue;
+      }
+      for (const field of SCRAPE_FIELDS) {
+        const value = result[field];
+        if (fields[field] !== null || value == null || value === '') continue;
+        fields[field] = value;
+        sources[field] = name;
+      }
+    }
+
+    const { imdbId, tmdbId, isTv, title, year, nativeTitle } = fields;
+    return {
+      ids: { imdbId, tmdbId, isTv: isTv ?? false },
+      filmInfo: { title, year, nativeTitle },
+      sources,
+      // A title guessed from the URL is only good enough to prefill a search
+      isUnreadable:
+        !imdbId && !tmdbId && (!title || sources.title === 'url-slug'),
+    };
+  }
+
+  /**
+   * Create an Error carrying one of the background script's error codes, or
+   * `extension` when the message couldn't be sent
+   */
+  function createDtddError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  function getErrorMessage(errorCode) {
+    return ERROR_MESSAGES[errorCode] || DEFAULT_ERROR_MESSAGE;
+  }
+
+  /**
+   * Send message to background script to fetch from DTDD API
+   * Rejects with an error whose `code` says what went wrong
+   */
+  function fetchDtdd(url) {
+    log('Fetching:', url);
+    return DtddBrowser.sendMessage({ name: 'DTDD_FETCH', url }).then(
+      (response) => {
+        if (response?.error) {
+          console.error('[DTDD] API error:', response.error);
+          throw createDtddError(response.errorCode, response.error);
+        }
+        log('Response:', response?.data);
+        return response?.data || null;
+      },
+      (e) => {
+        console.error('[DTDD] Message error:', e.message);
+        throw createDtddError('extension', e.message);
+      },
+    );
+  }
+
+  /**
+   * Match DTDD search results by TMDB ID, then by name+year
+   */
+  function matchDtddResult(result, tmdbId, title, year, isTv) {
+    if (!result?.items?.length) return null;
+
+    const expectedType = isTv ? 'TV Show' : 'Movie';
+
+    for (const item of result.items) {
+      const itemType = item.itemType?.name;
+
+      // Filter by type
+      if (itemType && itemType !== expectedType) continue;
+
+      // Exact TMDB match
+      if (tmdbId && item.tmdbId === parseInt(tmdbId)) return item;
+
+      // Skip if item has different TMDB ID
+      if (item.tmdbId && tmdbId && item.tmdbId !== parseInt(tmdbId)) continue;
+
+      // Match by name and year
+      const nameMatches =
+        item.name === title || item.name === `${title} ${year}`;
+      const yearMatches = String(item.releaseYear) === String(year);
+
+      if (nameMatches && yearMatches) return item;
+    }
+
+    return null;
+  }
+
+  /**
+   * Whether a failed search should stop a lookup rather than fall through to
+   * the next search: a rejected API key fails every search alike
+   */
+  function isFatalSearchError(err) {
+    return err.code === 'auth';
+  }
+
+  /**
+   * Find DTDD media using 3-tier fallback
+   * A failed search falls through to the next tier; the lookup only fails
+   * when every search did, or the API key was rejected
+   */
+  async function findDtddMedia(ids, filmInfo) {
+    const { imdbId, tmdbId, isTv } = ids;
+    const { title, year, nativeTitle } = filmInfo;
+
+    log('Scraped IDs:', { imdbId, tmdbId, isTv });
+    log('Film info:', { title, year, nativeTitle });
+
+    const tiers = [];
+
+    // Tier 1: Search by IMDb ID
+    if (imdbId) {
+      tiers.push({
+        name: 'IMDb ID',
+        url: `${DTDD_SEARCH_API}?imdb=${imdbId}`,
+        match(result) {
+          const item = result?.items?.[0];
+          if (!item) return null;
+          return !tmdbId || !item.tmdbId || item.tmdbId === parseInt(tmdbId)
+            ? item
+            : null;
+        },
+      });
+    }
+
+    // Tier 2: Search by title
+    if (title) {
+      tiers.push({
+        name: 'title search',
+        url: `${DTDD_SEARCH_API}?q=${encodeURIComponent(title)}`,
+        match: (result) => matchDtddResult(result, tmdbId, title, year, isTv),
+      });
+    }
+
+    // Tier 3: Search by native title
+    if (nativeTitle) {
+      tiers.push({
+        name: 'native title search',
+        url: `${DTDD_SEARCH_API}?q=${encodeURIComponent(nativeTitle)}`,
+        match: (result) =>
+          matchDtddResult(result, tmdbId, nativeTitle, year, isTv),
+      });
+    }
+
+    const errors = [];
+    for (const tier of tiers) {
+      let result;
+      try {
+        result = await fetchDtdd(tier.url);
+      } catch (err) {
+        if (isFatalSearchError(err)) throw err;
+        log(`Search by ${tier.name} failed:`, err.code);
+        errors.push(err);
+        continue;
+      }
+
+      const dtddData = tier.match(result);
+      if (dtddData) {
+        log(`Found via ${tier.name}`);
+        return dtddData;
+      }
+    }
+
+    if (errors.length > 0 && errors.length === tiers.length) throw errors[0];
+    return null;
+  }
+
+  /**
+   * Find a film's DTDD media from its title and year alone, for films known
+   * only by name such as the rows of a Letterboxd export
+   */
+  async function findDtddMediaByTitle(title, year) {
+    const result = await fetchDtdd(
+      `${DTDD_SEARCH_API}?q=${encodeURIComponent(title)}`,
+    );
+    return matchDtddResult(result, null, title, year, false);
+  }
+
+  /**
+   * Collect DTDD search results that could match the film, for the manual picker
+   */
+  async function findDtddCandidates(ids, filmInfo) {
+    const urls = [];
+    if (ids.imdbId) urls.push(`${DTDD_SEARCH_API}?imdb=${ids.imdbId}`);
+    if (filmInfo.title) {
+      urls.push(`${DTDD_SEARCH_API}?q=${encodeURIComponent(filmInfo.title)}`);
+    }
+    if (filmInfo.nativeTitle) {
+      urls.push(
+        `${DTDD_SEARCH_API}?q=${encodeURIComponent(filmInfo.nativeTitle)}`,
+      );
+    }
+
+    // Show what the other searches found when one of them fails
+    const results = await Promise.allSettled(urls.map((url) => fetchDtdd(url)));
+    const errors = results
+      .filter((result) => result.status === 'rejected')
+      .map((result) => result.reason);
+    const fatalError = errors.find(isFatalSearchError);
+    if (fatalError) throw fatalError;
+    if (errors.length > 0 && errors.length === results.length) throw errors[0];
+
+    return dedupeCandidates(
+      results.flatMap((result) => result.value?.items || []),
+    );
+  }
+
+  function dedupeCandidates(items) {
+    const seen = new Set();
+    return items.filter((item) => {
+      if (seen.has(item.id)) return false;
+      seen.add(item.id);
+      return true;
+    });
+  }
+
+  // =============================================================================
+  // FILM → DTDD MEDIA MAPPING
+  // =============================================================================
+
+  // Mapping writes are read-modify-write, so run them one at a time
+  let mediaMapQueue = Promise.resolve();
+
+  async function getMediaMapping(slug) {
+    const data = await DtddBrowser.storage.local.get(
+      LOCAL_STORAGE_KEYS.MEDIA_MAP,
+    );
+    return data[LOCAL_STORAGE_KEYS.MEDIA_MAP]?.[slug] || null;
+  }
+
+  /**
+   * Queue a read-modify-write of the saved mappings after the earlier ones
+   * A failed write rejects its caller only, so later writes still run
+   */
+  function updateMediaMap(update) {
+    const run = mediaMapQueue.then(async () => {
+      const data = await DtddBrowser.storage.local.get(
+        LOCAL_STORAGE_KEYS.MEDIA_MAP,
+      );
+      const mediaMap = data[LOCAL_STORAGE_KEYS.MEDIA_MAP] || {};
+      if (update(mediaMap) === false) return;
+      await DtddBrowser.storage.local.set({
+        [LOCAL_STORAGE_KEYS.MEDIA_MAP]: mediaMap,
+      });
+    });
+    mediaMapQueue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Remember which DTDD media a Letterboxd film resolves to
+   * Manual choices are never overwritten by automatic matches
+   */
+  function saveMediaMapping(slug, media, isManual) {
+    return updateMediaMap((mediaMap) => {
+      if (!isManual && mediaMap[slug]?.isManual) return false;
+      mediaMap[slug] = {
+        mediaId: media.id,
+        name: media.name,
+        releaseYear: media.releaseYear ?? null,
+        isManual,
+      };
+    });
+  }
+
+  function removeMediaMapping(slug) {
+    return updateMediaMap((mediaMap) => {
+      delete mediaMap[slug];
+    });
+  }
+
+  /**
+   * Resolve a film's DTDD media, preferring the saved mapping
+   * `findMedia` is only called (and its result saved) when nothing is mapped
+   */
+  async function resolveMedia(slug, findMedia) {
+    const mapping = await getMediaMapping(slug);
+    if (mapping) {
+      log('Using saved match:', slug, '->', mapping.mediaId);
+      return {
+        id: mapping.mediaId,
+        name: mapping.name,
+        isManual: mapping.isManual,
+      };
+    }
+
+    const media = await findMedia();
+    if (media) await saveMediaMapping(slug, media, false);
+    return media;
+  }
+
+  /**
+   * Fetch full media details including topic warnings
+   */
+  async function fetchMediaDetails(mediaId) {
+    const result = await fetchDtdd(`${DTDD_MEDIA_API}/${mediaId}`);
+    return result;
+  }
+
+  // =============================================================================
+  // LOOKUPS FROM OTHER PAGES
+  // =============================================================================
+
+  /**
+   * Run async tasks with limited concurrency and a pause between them
+   */
+  function createTaskQueue(concurrency, delayMs) {
+    const pending = [];
+    let active = 0;
+
+    function next() {
+      if (active >= concurrency || pending.length === 0) return;
+
+      const { task, resolve, reject } = pending.shift();
+      active++;
+      task()
+        .then(resolve, reject)
+        .finally(() => {
+          setTimeout(() => {
+            active--;
+            next();
+          }, delayMs);
+        });
+    }
+
+    function enqueue(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    }
+
+    // Drop the tasks not started yet, resolving them with undefined
+    enqueue.clear = () => {
+      for (const { resolve } of pending.splice(0)) resolve(undefined);
+    };
+    return enqueue;
+  }
+
+  /**
+   * Look up many films through one throttled queue that can be stopped
+   * Stopping drops the lookups still queued, which resolve with undefined;
+   * those already running finish, so awaiting every lookup waits for them
+   * and none outlives its batch
+   */
+  function createLookupBatch() {
+    const enqueue = createTaskQueue(
+      LOOKUP_CONCURRENCY,
+      LOOKUP_REQUEST_DELAY_MS,
+    );
+    const batch = {
+      isStopped: false,
+      lookup(task) {
+        return batch.isStopped ? Promise.resolve(undefined) : enqueue(task);
+      },
+      stop() {
+        batch.isStopped = true;
+        enqueue.clear();
+      },
+    };
+    return batch;
+  }
+
+  /**
+   * Fetch and parse a Letterboxd film page so the sidebar scrapers can run on it
+   */
+  async function fetchFilmDocument(slug) {
+    const response = await fetch(`${LETTERBOXD_FILM_URL}/${slug}/`);
+    if (!response.ok) {
+      log('Film page fetch failed:', slug, response.status);
+      return null;
+    }
+
+    const html = await response.text();
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  function getPosterSlug(poster) {
+    return poster.dataset.filmSlug || poster.dataset.itemSlug || null;
+  }
+
+  /**
+   * Films in a poster grid, such as a list or watchlist page, in page order
+   * Posters only carry the film's name and sometimes its year
+   */
+  function readPosterFilms(root) {
+    const films = new Map();
+    for (const poster of root.querySelectorAll(POSTER_SELECTOR)) {
+      // Inner elements of a matched poster repeat its slug
+      if (poster.parentElement?.closest(POSTER_SELECTOR)) continue;
+      const slug = getPosterSlug(poster);
+      if (!slug || films.has(slug)) continue;
+
+      const { title, year } = parseTitleWithYear(
+        poster.dataset.filmName ?? poster.dataset.itemName,
+      );
+      films.set(slug, {
+        slug,
+        title,
+        year: poster.dataset.filmReleaseYear || year || null,
+      });
+    }
+    return [...films.values()];
+  }
+
+  /**
+   * Fetch and parse one page of a Letterboxd list, watchlist or other grid
+   * `listUrl` is the list's first page, ending with a slash
+   */
+  async function fetchListPage(listUrl, pageNumber) {
+    const url = pageNumber > 1 ? `${listUrl}page/${pageNumber}/` : listUrl;
+    const response = await fetch(url);
+    if (!response.ok) {
+      log('List page fetch failed:', url, response.status);
+      return null;
+    }
+
+    const html = await response.text();
+    return new DOMParser().parseFromString(html, 'text/html');
+  }
+
+  /**
+   * Find a film's DTDD media and topics from its slug alone, reading its
+   * Letterboxd page only when there's no saved match
+   * Returns null when the film can't be matched on DTDD
+   */
+  async function lookupFilm(slug) {
+    const media = await resolveMedia(slug, async () => {
+      const filmDoc = await fetchFilmDocument(slug);
+      if (!filmDoc) return null;
+      const { ids, filmInfo, isUnreadable } = scrapeFilm(filmDoc, slug);
+      return isUnreadable ? null : findDtddMedia(ids, filmInfo);
+    });
+    if (!media) return null;
+
+    const details = await fetchMediaDetails(media.id);
+    if (!details?.topicItemStats) return null;
+
+    return { media, topics: details.topicItemStats };
+  }
+
+  return Object.freeze({
+    POSTER_SELECTOR,
+    escapeHtml,
+    getFilmSlugFromPath,
+    scrapeFilm,
+    fetchDtdd,
+    getErrorMessage,
+    matchDtddResult,
+    findDtddMedia,
+    findDtddMediaByTitle,
+    findDtddCandidates,
+    dedupeCandidates,
+    getMediaMapping,
+    saveMediaMapping,
+    removeMediaMapping,
+    resolveMedia,
+    fetchMediaDetails,
+    createLookupBatch,
+    fetchFilmDocument,
+    getPosterSlug,
+    readPosterFilms,
+    fetchListPage,
+    lookupFilm,
+  });
+})();
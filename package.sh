@@ -1,34 +1,67 @@
 #!/bin/bash
 
-# Package script for Letterboxd DTDD Chrome Extension
-# Creates a ZIP file ready for Chrome Web Store upload
+# Package script for Letterboxd DTDD Extension
+# Creates ZIP files ready for Chrome Web Store and Firefox Add-ons upload
 
 set -e
 
 SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 cd "$SCRIPT_DIR"
 
-# Get version from manifest.json
-VERSION=$(grep '"version"' manifest.json | sed 's/.*"version": *"\([^"]*\)".*/\1/')
-OUTPUT_FILE="letterboxd-dtdd-v${VERSION}.zip"
-
-# Remove old package if exists
-rm -f "$OUTPUT_FILE"
-
-# Create the ZIP with only the required files
-zip -r "$OUTPUT_FILE" \
-  manifest.json \
-  background.js \
-  content.js \
-  styles.css \
-  settings.html \
-  settings.js \
-  settings.css \
+get_version() {
+  grep '"version"' "$1" | sed 's/.*"version": *"\([^"]*\)".*/\1/'
+}
+
+# Get version from manifest.json; the Firefox manifest must match it
+VERSION=$(get_version manifest.json)
+FIREFOX_VERSION=$(get_version manifest.firefox.json)
+if [ "$VERSION" != "$FIREFOX_VERSION" ]; then
+  echo "Version mismatch: manifest.json is $VERSION, manifest.firefox.json is $FIREFOX_VERSION" >&2
+  exit 1
+fi
+
+CHROME_OUTPUT_FILE="letterboxd-dtdd-v${VERSION}.zip"
+FIREFOX_OUTPUT_FILE="letterboxd-dtdd-v${VERSION}-firefox.zip"
+
+# Files shared by both packages, besides the manifest
+FILES=(
+  browser-api.js
+  background.js
+  settings-schema.js
+  warnings.js
+  film-lookup.js
+  content.js
+  styles.css
+  settings.html
+  settings.js
+  settings.css
+  popup.html
+  popup.js
+  popup.css
+  scan.html
+  scan.js
+  scan.css
   icons/*.png
+)
+
+# Remove old packages if they exist
+rm -f "$CHROME_OUTPUT_FILE" "$FIREFOX_OUTPUT_FILE"
+
+# Create the Chrome ZIP with only the required files
+zip -r "$CHROME_OUTPUT_FILE" manifest.json "${FILES[@]}"
+
+# The Firefox ZIP is the same, with manifest.firefox.json as its manifest.json
+STAGING_DIR=$(mktemp -d)
+trap 'rm -rf "$STAGING_DIR"' EXIT
+cp manifest.firefox.json "$STAGING_DIR/manifest.json"
+cp "$CHROME_OUTPUT_FILE" "$FIREFOX_OUTPUT_FILE"
+zip -j "$FIREFOX_OUTPUT_FILE" "$STAGING_DIR/manifest.json"
 
-echo "Created $OUTPUT_FILE"
+echo "Created $CHROME_OUTPUT_FILE and $FIREFOX_OUTPUT_FILE"
 echo ""
 echo "Next steps:"
 echo "  1. Go to https://chrome.google.com/webstore/devconsole"
-echo "  2. Click 'New Item' and upload $OUTPUT_FILE"
+echo "  2. Click 'New Item' and upload $CHROME_OUTPUT_FILE"
 echo "  3. Fill in store listing details and submit for review"
+echo "  4. Go to https://addons.mozilla.org/developers/addon/submit/"
+echo "  5. Upload $FIREFOX_OUTPUT_FILE and submit for review"
@@ -0,0 +1,258 @@
+/**
+ * Letterboxd DTDD Integration - Toolbar Popup Script
+ * Summarizes the warnings for the film in the current tab and searches DTDD
+ */
+
+// =============================================================================
+// CONFIGURATION - Modify these values to adjust popup behavior
+// =============================================================================
+
+const SEARCH_RESULTS_LIMIT = 10; // DTDD titles listed for a search
+const SUMMARY_POLL_MS = 500; // How often to ask again while the panel loads
+
+// =============================================================================
+// INTERNAL CONSTANTS - Generally don't need modification
+// =============================================================================
+
+const { WARNING_CATEGORY } = DtddWarnings;
+const { STORAGE_KEYS, DTDD_SEARCH_API, DTDD_MEDIA_API } = DtddSettings;
+const { escapeHtml, fetchDtdd, fetchMediaDetails, getErrorMessage } =
+  DtddFilmLookup;
+
+// Messages for the panel states that have no warnings to show; errors use
+// the panel's message for their error code
+const SUMMARY_STATE_MESSAGES = {
+  none: 'Open a film on Letterboxd to see its warnings here.',
+  'not-found': 'No warnings available for this title.',
+  unreadable:
+    "Couldn't read this Letterboxd page. Letterboxd may have changed its layout.",
+};
+
+// Last search results, to go back to from a title's warnings
+let searchResults = null;
+
+document.addEventListener('DOMContentLoaded', init);
+
+function init() {
+  document.getElementById('open-settings').addEventListener('click', () => {
+    DtddBrowser.runtime.openOptionsPage();
+    window.close();
+  });
+  document
+    .getElementById('search-form')
+    .addEventListener('submit', handleSearchSubmit);
+  document
+    .getElementById('search-results')
+    .addEventListener('click', handleSearchResultsClick);
+
+  loadCurrentFilm();
+}
+
+// =============================================================================
+// CURRENT TAB
+// =============================================================================
+
+/**
+ * Ask the current tab's content script for its panel summary
+ * Resolves null when the tab has no content script, i.e. isn't Letterboxd
+ */
+async function getTabSummary() {
+  const [tab] = await DtddBrowser.tabs.query({
+    active: true,
+    currentWindow: true,
+  });
+  if (!tab?.id) return null;
+
+  return DtddBrowser.sendTabMessage(tab.id, {
+    name: 'DTDD_PANEL_SUMMARY',
+  }).catch(() => null);
+}
+
+async function loadCurrentFilm() {
+  const container = document.getElementById('current-film');
+  const summary = (await getTabSummary()) ?? { state: 'none' };
+
+  if (summary.state === 'loading') {
+    container.innerHTML = `${buildTitleHtml(summary.title)}<p class="popup-status">Loading warnings...</p>`;
+    setTimeout(loadCurrentFilm, SUMMARY_POLL_MS);
+    return;
+  }
+
+  if (summary.state !== 'loaded') {
+    const messageClass =
+      summary.state === 'none' ? 'popup-status' : 'popup-error';
+    const message =
+      SUMMARY_STATE_MESSAGES[summary.state] ??
+      getErrorMessage(summary.errorCode);
+    container.innerHTML = `${buildTitleHtml(summary.title)}<p class="${messageClass}">${message}</p>`;
+    // Offer to search for the film the panel couldn't match
+    const searchInput = document.getElementById('search-query');
+    if (summary.title && !searchInput.value) searchInput.value = summary.title;
+    return;
+  }
+
+  container.innerHTML = buildSummaryHtml(summary);
+}
+
+// =============================================================================
+// RENDERING
+// =============================================================================
+
+function buildTitleHtml(title) {
+  return title ? `<h2 class="popup-film-title">${escapeHtml(title)}</h2>` : '';
+}
+
+function buildWarningListHtml(warnings) {
+  const itemsHtml = warnings
+    .map((warning) => {
+      const classes = [
+        warning.category === WARNING_CATEGORY.YES
+          ? ''
+          : `popup-status-${warning.category}`,
+        warning.isDealbreaker ? 'popup-dealbreaker' : '',
+      ].join(' ');
+      return `<li class="popup-warning-item ${classes}" data-name="${escapeHtml(warning.name)}"><span class="popup-votes"><span class="popup-yes-count">${warning.yesSum}</span>/<span class="popup-no-count">${warning.noSum}</span></span> <span>${escapeHtml(warning.name)}</span></li>`;
+    })
+    .join('');
+  return `<ul class="popup-warning-list">${itemsHtml}</ul>`;
+}
+
+/**
+ * Build the warnings summary for a DTDD title: pinned topics, then the top
+ * confirmed ones, like the film page panel
+ */
+function buildSummaryHtml({
+  mediaName,
+  title,
+  dtddUrl,
+  pinned,
+  warnings,
+  redactedCount = 0,
+  redactedNote = 'hidden until revealed on the film page',
+}) {
+  const pinnedHtml = pinned.length
+    ? `<h3 class="popup-subheading">Pinned</h3>${buildWarningListHtml(pinned)}`
+    : '';
+  const warningsHtml = warnings.length
+    ? `<h3 class="popup-subheading">Top warnings</h3>${buildWarningListHtml(warnings)}`
+    : '';
+  // Spoiler-safe mode: the warnings are revealed from the film page
+  const redactedHtml = redactedCount
+    ? `<p class="popup-status">${redactedCount} other warning${redactedCount === 1 ? '' : 's'} ${redactedNote}</p>`
+    : '';
+  const emptyHtml =
+    !pinned.length && !warnings.length && !redactedCount
+      ? '<p class="popup-status">No confirmed warnings</p>'
+      : '';
+
+  return `
+    ${buildTitleHtml(mediaName || title)}
+    ${pinnedHtml}
+    ${warningsHtml}
+    ${redactedHtml}
+    ${emptyHtml}
+    <p class="popup-footer"><a href="${dtddUrl}" target="_blank" rel="noopener noreferrer">View all on Does The Dog Die</a></p>
+  `;
+}
+
+// =============================================================================
+// SEARCH
+// =============================================================================
+
+async function handleSearchSubmit(event) {
+  event.preventDefault();
+  const query = document.getElementById('search-query').value.trim();
+  if (!query) return;
+
+  const results = document.getElementById('search-results');
+  results.innerHTML = '<p class="popup-status">Searching...</p>';
+
+  let data;
+  try {
+    data = await fetchDtdd(`${DTDD_SEARCH_API}?q=${encodeURIComponent(query)}`);
+  } catch (err) {
+    searchResults = null;
+    results.innerHTML = `<p class="popup-error">${getErrorMessage(err.code)}</p>`;
+    return;
+  }
+
+  searchResults = (data?.items || []).slice(0, SEARCH_RESULTS_LIMIT);
+  renderSearchResults();
+}
+
+function renderSearchResults() {
+  const results = document.getElementById('search-results');
+  if (searchResults.length === 0) {
+    results.innerHTML = '<p class="popup-status">No DTDD titles found</p>';
+    return;
+  }
+
+  const itemsHtml = searchResults
+    .map((item) => {
+      const details = [item.releaseYear, item.itemType?.name]
+        .filter(Boolean)
+        .join(' · ');
+      return `<li><button type="button" class="popup-result" data-action="show-media" data-media-id="${item.id}">${escapeHtml(item.name)} <span class="popup-result-details">${escapeHtml(details)}</span></button></li>`;
+    })
+    .join('');
+  results.innerHTML = `<ul class="popup-result-list">${itemsHtml}</ul>`;
+}
+
+function handleSearchResultsClick(event) {
+  const target = event.target.closest('button[data-action]');
+  if (!target) return;
+
+  if (target.dataset.action === 'show-media') {
+    showMediaSummary(parseInt(target.dataset.mediaId, 10));
+  } else if (target.dataset.action === 'back-to-results') {
+    renderSearchResults();
+  }
+}
+
+/**
+ * Show a searched title's warnings, picked with the user's settings
+ * Spoiler-safe mode shows only the pinned topics, like the film page panel
+ */
+async function showMediaSummary(mediaId) {
+  const results = document.getElementById('search-results');
+  const backHtml =
+    '<button type="button" class="popup-text-btn" data-action="back-to-results">← Back to results</button>';
+  results.innerHTML = '<p class="popup-status">Loading warnings...</p>';
+
+  let details;
+  let storageData;
+  try {
+    [details, storageData] = await Promise.all([
+      fetchMediaDetails(mediaId),
+      DtddBrowser.storage.sync.get([
+        ...DtddWarnings.WARNING_SETTING_KEYS,
+        STORAGE_KEYS.SPOILER_SAFE,
+      ]),
+    ]);
+  } catch (err) {
+    results.innerHTML = `${backHtml}<p class="popup-error">${getErrorMessage(err.code)}</p>`;
+    return;
+  }
+  if (!details?.topicItemStats) {
+    results.innerHTML = `${backHtml}<p class="popup-error">${getErrorMessage('not-found')}</p>`;
+    return;
+  }
+
+  const media = searchResults?.find((item) => item.id === mediaId);
+  const summary = DtddWarnings.summarizeWarnings(
+    details.topicItemStats,
+    DtddWarnings.getWarningSettings(storageData),
+  );
+  const isRedacted = DtddSettings.getSetting(
+    storageData,
+    STORAGE_KEYS.SPOILER_SAFE,
+  );
+  results.innerHTML = `${backHtml}${buildSummaryHtml({
+    ...summary,
+    warnings: isRedacted ? [] : summary.warnings,
+    redactedCount: isRedacted ? summary.warnings.length : 0,
+    redactedNote: 'hidden in spoiler-safe mode',
+    mediaName: media?.name ?? details.item?.name,
+    dtddUrl: `${DTDD_MEDIA_API}/${mediaId}`,
+  })}`;
+}
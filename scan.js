@@ -0,0 +1,452 @@
+/**
+ * Letterboxd DTDD Integration - List Scan Page Script
+ * Checks every film in a Letterboxd list against the pinned topics
+ */
+
+// =============================================================================
+// CONFIGURATION - Modify these values to adjust list scan behavior
+// =============================================================================
+
+const LIST_MAX_PAGES = 50; // Stop reading a list after this many pages
+
+// =============================================================================
+// INTERNAL CONSTANTS - Generally don't need modification
+// =============================================================================
+
+const {
+  DTDD_BASE_URL,
+  DTDD_CATEGORIES_API,
+  LETTERBOXD_URL,
+  LETTERBOXD_FILM_URL,
+} = DtddSettings;
+const { WARNING_CATEGORY } = DtddWarnings;
+const { escapeHtml, getFilmSlugFromPath } = DtddFilmLookup;
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Topic cell labels, also used in the CSV export
+const CATEGORY_LABELS = {
+  [WARNING_CATEGORY.YES]: 'Yes',
+  [WARNING_CATEGORY.NO]: 'No',
+  [WARNING_CATEGORY.MIXED]: 'Disputed',
+  [WARNING_CATEGORY.UNKNOWN]: 'Unknown',
+};
+// Sort order of topic cells, most concerning first
+const CATEGORY_SORT_ORDER = {
+  [WARNING_CATEGORY.YES]: 0,
+  [WARNING_CATEGORY.MIXED]: 1,
+  [WARNING_CATEGORY.UNKNOWN]: 2,
+  [WARNING_CATEGORY.NO]: 3,
+};
+const UNMATCHED_SORT_ORDER = 4;
+// Shown in place of the topic cells for films without DTDD data
+const ROW_STATUS_LABELS = {
+  pending: 'Checking...',
+  'not-found': 'Not on DTDD',
+  error: 'Failed to load',
+};
+
+// Topics the scan checks: { id, name, isDealbreaker }
+let scanTopics = [];
+// One per film, in list order: { index, slug, title, year, status, mediaId, cells }
+let scanRows = [];
+// Column the table is sorted by, or null for list order
+let scanSort = { key: null, direction: 1 };
+// Scan in progress, a lookup batch from DtddFilmLookup
+let activeScan = null;
+
+document.addEventListener('DOMContentLoaded', init);
+
+function init() {
+  document
+    .getElementById('scan-form')
+    .addEventListener('submit', handleScanSubmit);
+  document.getElementById('scan-cancel').addEventListener('click', () => {
+    if (!activeScan || activeScan.isStopped) return;
+    activeScan.stop();
+    setStatus('Stopping...');
+  });
+  document.getElementById('scan-export').addEventListener('click', exportCsv);
+  document.getElementById('scan-table').addEventListener('click', (event) => {
+    const button = event.target.closest('button[data-sort-key]');
+    if (button) handleSortClick(button.dataset.sortKey);
+  });
+}
+
+function setStatus(text) {
+  document.getElementById('scan-status').textContent = text;
+}
+
+function setScanning(isScanning) {
+  document.getElementById('scan-start').disabled = isScanning;
+  document.getElementById('scan-cancel').hidden = !isScanning;
+}
+
+// =============================================================================
+// INPUT
+// =============================================================================
+
+/**
+ * A Letterboxd URL, with or without its scheme, or null for anything else
+ */
+function parseLetterboxdUrl(text) {
+  if (!/^(https?:\/\/)?(www\.)?letterboxd\.com\//i.test(text)) return null;
+  try {
+    return new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The first page of a list, from the URL of any of its pages
+ */
+function getListUrl(url) {
+  const path = url.pathname.replace(/\/page\/\d+\/?$/, '').replace(/\/?$/, '/');
+  return `${LETTERBOXD_URL}${path}`;
+}
+
+/**
+ * Read the scan input: a single list URL, or film URLs and slugs one per line
+ * Returns { listUrl }, { slugs } or { error }
+ */
+function parseScanInput(text) {
+  const lines = text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean);
+  const slugs = [];
+
+  for (const line of lines) {
+    const url = parseLetterboxdUrl(line);
+    const filmSlug = url && getFilmSlugFromPath(url.pathname);
+    if (filmSlug) {
+      slugs.push(filmSlug);
+    } else if (url && lines.length === 1) {
+      return { listUrl: getListUrl(url) };
+    } else if (url) {
+      return { error: `Only one list can be scanned at a time: ${line}` };
+    } else if (SLUG_PATTERN.test(line)) {
+      slugs.push(line);
+    } else {
+      return { error: `Not a Letterboxd URL or film slug: ${line}` };
+    }
+  }
+  return { slugs: [...new Set(slugs)] };
+}
+
+/**
+ * Read every page of a list, stopping at the first page without films
+ */
+async function readList(listUrl, scan) {
+  const films = new Map();
+  for (let page = 1; page <= LIST_MAX_PAGES && !scan.isStopped; page++) {
+    setStatus(`Reading list page ${page}...`);
+    const listDoc = await DtddFilmLookup.fetchListPage(listUrl, page);
+    const pageFilms = listDoc ? DtddFilmLookup.readPosterFilms(listDoc) : [];
+    if (pageFilms.length === 0) break;
+    for (const film of pageFilms) {
+      if (!films.has(film.slug)) films.set(film.slug, film);
+    }
+  }
+  return [...films.values()];
+}
+
+/**
+ * Names of the scanned topics from DTDD's topic list
+ */
+async function loadScanTopics(topicIds, dealbreakerIds) {
+  const categories = await DtddFilmLookup.fetchDtdd(DTDD_CATEGORIES_API).catch(
+    () => null,
+  );
+  const names = new Map(
+    (Array.isArray(categories) ? categories : []).map((topic) => [
+      topic.id,
+      topic.name,
+    ]),
+  );
+  return topicIds.map((id) => ({
+    id,
+    name: (names.get(id) ?? `Topic ${id}`).toLowerCase(),
+    isDealbreaker: dealbreakerIds.has(id),
+  }));
+}
+
+// =============================================================================
+// SCAN
+// =============================================================================
+
+async function handleScanSubmit(event) {
+  event.preventDefault();
+  if (activeScan) return;
+
+  const input = parseScanInput(document.getElementById('scan-input').value);
+  if (input.error) {
+    setStatus(input.error);
+    return;
+  }
+  if (!input.listUrl && input.slugs.length === 0) {
+    setStatus('Enter a list URL or some films to scan');
+    return;
+  }
+
+  const storageData = await DtddBrowser.storage.sync.get(
+    DtddWarnings.WARNING_SETTING_KEYS,
+  );
+  const settings = DtddWarnings.getWarningSettings(storageData);
+  const topicIds = [
+    ...new Set([...settings.pinnedIds, ...settings.dealbreakerIds]),
+  ];
+  if (topicIds.length === 0) {
+    setStatus(
+      'Pin some topics in settings first; the scan checks films for them',
+    );
+    return;
+  }
+
+  const scan = DtddFilmLookup.createLookupBatch();
+  activeScan = scan;
+  setScanning(true);
+  try {
+    scanTopics = await loadScanTopics(topicIds, settings.dealbreakerIds);
+    const films = input.listUrl
+      ? await readList(input.listUrl, scan)
+      : input.slugs.map((slug) => ({ slug, title: null, year: null }));
+    if (scan.isStopped) {
+      setStatus('Stopped');
+      return;
+    }
+    if (films.length === 0) {
+      setStatus("Couldn't find any films at that address");
+      return;
+    }
+
+    scanRows = films.map((film, index) => ({
+      ...film,
+      index,
+      status: 'pending',
+      mediaId: null,
+      cells: {},
+    }));
+    scanSort = { key: null, direction: 1 };
+    renderResults();
+    await checkFilms(scan, settings.thresholds);
+  } finally {
+    activeScan = null;
+    setScanning(false);
+  }
+}
+
+/**
+ * Look up every film through the scan's batch, filling in its row as it
+ * finishes; stopping skips the films still queued
+ */
+async function checkFilms(scan, thresholds) {
+  let checked = 0;
+  setStatus(`Checked 0 of ${scanRows.length} films`);
+
+  const lookups = scanRows.map((row) =>
+    scan.lookup(async () => {
+      try {
+        applyLookup(row, await DtddFilmLookup.lookupFilm(row.slug), thresholds);
+      } catch (err) {
+        console.error('[DTDD] Failed to check film:', row.slug, err);
+        row.status = 'error';
+      }
+      checked++;
+      if (!scan.isStopped) {
+        setStatus(`Checked ${checked} of ${scanRows.length} films`);
+      }
+      renderResults();
+    }),
+  );
+  await Promise.all(lookups);
+
+  setStatus(
+    scan.isStopped
+      ? `Stopped after ${checked} of ${scanRows.length} films`
+      : `Checked ${scanRows.length} films`,
+  );
+  renderResults();
+}
+
+function applyLookup(row, film, thresholds) {
+  if (!film) {
+    row.status = 'not-found';
+    return;
+  }
+
+  row.status = 'matched';
+  row.mediaId = film.media.id;
+  row.title ??= film.media.name;
+  row.year ??= film.media.releaseYear ?? null;
+  const stats = new Map(film.topics.map((t) => [t.topic?.id, t]));
+  for (const topic of scanTopics) {
+    const stat = stats.get(topic.id);
+    row.cells[topic.id] = stat
+      ? DtddWarnings.categorizeWarning(stat, thresholds)
+      : WARNING_CATEGORY.UNKNOWN;
+  }
+}
+
+// =============================================================================
+// RESULTS
+// =============================================================================
+
+function getConfirmedTopics(row) {
+  return scanTopics.filter(
+    (topic) => row.cells[topic.id] === WARNING_CATEGORY.YES,
+  );
+}
+
+function getColumns() {
+  return [
+    { key: 'title', label: 'Film' },
+    { key: 'year', label: 'Year' },
+    ...scanTopics.map((topic) => ({
+      key: `topic-${topic.id}`,
+      label: topic.name,
+      topic,
+    })),
+    { key: 'confirmed', label: 'Confirmed' },
+  ];
+}
+
+/**
+ * Value a row sorts by in a column; ascending puts the most concerning first
+ */
+function getSortValue(row, key) {
+  const isMatched = row.status === 'matched';
+  if (key === 'title') return (row.title ?? row.slug).toLowerCase();
+  if (key === 'year') return Number(row.year) || 0;
+  if (key === 'confirmed') {
+    return isMatched ? -getConfirmedTopics(row).length : 1;
+  }
+
+  const topicId = Number(key.replace('topic-', ''));
+  return isMatched
+    ? CATEGORY_SORT_ORDER[row.cells[topicId]]
+    : UNMATCHED_SORT_ORDER;
+}
+
+function getSortedRows() {
+  const { key, direction } = scanSort;
+  if (!key) return scanRows;
+
+  return [...scanRows].sort((a, b) => {
+    const aValue = getSortValue(a, key);
+    const bValue = getSortValue(b, key);
+    if (aValue < bValue) return -direction;
+    if (aValue > bValue) return direction;
+    return a.index - b.index;
+  });
+}
+
+function handleSortClick(key) {
+  scanSort =
+    scanSort.key === key
+      ? { key, direction: -scanSort.direction }
+      : { key, direction: 1 };
+  renderResults();
+}
+
+function buildRowHtml(row) {
+  const filmUrl = `${LETTERBOXD_FILM_URL}/${row.slug}/`;
+  const titleHtml = `<td class="scan-title"><a href="${filmUrl}" target="_blank" rel="noopener">${escapeHtml(row.title ?? row.slug)}</a></td><td class="scan-year">${escapeHtml(row.year ?? '')}</td>`;
+
+  if (row.status !== 'matched') {
+    const rowClass = row.status === 'pending' ? '' : 'scan-row-unmatched';
+    return `<tr class="${rowClass}">${titleHtml}<td class="scan-cell-pending" colspan="${scanTopics.length + 1}">${ROW_STATUS_LABELS[row.status]}</td></tr>`;
+  }
+
+  const confirmed = getConfirmedTopics(row);
+  const rowClass = confirmed.some((topic) => topic.isDealbreaker)
+    ? 'scan-row-dealbreaker'
+    : '';
+  const cellsHtml = scanTopics
+    .map((topic) => {
+      const category = row.cells[topic.id];
+      return `<td class="scan-cell-${category}">${CATEGORY_LABELS[category]}</td>`;
+    })
+    .join('');
+  const dtddUrl = `${DTDD_BASE_URL}/media/${row.mediaId}`;
+  return `<tr class="${rowClass}">${titleHtml}${cellsHtml}<td class="scan-confirmed"><a href="${dtddUrl}" target="_blank" rel="noopener" title="View on Does The Dog Die">${confirmed.length}</a></td></tr>`;
+}
+
+function renderResults() {
+  const headerHtml = getColumns()
+    .map(({ key, label }) => {
+      const isSorted = scanSort.key === key;
+      const ariaSort = isSorted
+        ? `aria-sort="${scanSort.direction === 1 ? 'ascending' : 'descending'}"`
+        : '';
+      const arrow = isSorted ? (scanSort.direction === 1 ? ' ▲' : ' ▼') : '';
+      return `<th ${ariaSort}><button type="button" class="scan-sort" data-sort-key="${key}">${escapeHtml(label)}${arrow}</button></th>`;
+    })
+    .join('');
+
+  document.getElementById('scan-table').innerHTML = `
+    <thead><tr>${headerHtml}</tr></thead>
+    <tbody>${getSortedRows().map(buildRowHtml).join('')}</tbody>
+  `;
+
+  const withConfirmed = scanRows.filter(
+    (row) => getConfirmedTopics(row).length > 0,
+  ).length;
+  document.getElementById('scan-summary').textContent =
+    `${scanRows.length} films, ${withConfirmed} with confirmed pinned topics`;
+  document.getElementById('scan-results').hidden = false;
+}
+
+// =============================================================================
+// CSV EXPORT
+// =============================================================================
+
+function toCsvField(value) {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * The results table as CSV, in its current sort order
+ */
+function buildCsv() {
+  const header = [
+    'Film',
+    'Year',
+    'Letterboxd URL',
+    'DTDD URL',
+    ...scanTopics.map((topic) => topic.name),
+    'Confirmed',
+  ];
+  const rows = getSortedRows().map((row) => {
+    const isMatched = row.status === 'matched';
+    return [
+      row.title ?? row.slug,
+      row.year,
+      `${LETTERBOXD_FILM_URL}/${row.slug}/`,
+      isMatched ? `${DTDD_BASE_URL}/media/${row.mediaId}` : '',
+      ...scanTopics.map((topic) =>
+        isMatched
+          ? CATEGORY_LABELS[row.cells[topic.id]]
+          : ROW_STATUS_LABELS[row.status],
+      ),
+      isMatched ? getConfirmedTopics(row).length : '',
+    ];
+  });
+
+  return [header, ...rows]
+    .map((fields) => fields.map(toCsvField).join(','))
+    .join('\r\n');
+}
+
+function exportCsv() {
+  // The byte order mark tells spreadsheet apps the file is UTF-8, so titles
+  // in other scripts open correctly
+  const blob = new Blob(['\uFEFF', buildCsv()], { type: 'text/csv' });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `letterboxd-dtdd-scan-${new Date().toISOString().slice(0, 10)}.csv`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
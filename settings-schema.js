@@ -0,0 +1,334 @@
+/**
+ * Letterboxd DTDD Integration - Settings Schema
+ * Storage keys, defaults, validation and site addresses shared by the
+ * background, content and page scripts, and the migrations that upgrade data
+ * saved by older versions
+ */
+
+// Loaded as a classic script in every context (importScripts in the background,
+// the content_scripts list and a <script> tag on the settings page), so the
+// whole schema is exposed through this one global
+const DtddSettings = (function () {
+  'use strict';
+
+  // =============================================================================
+  // CONFIGURATION - Modify these values to adjust the default settings
+  // =============================================================================
+
+  // Vote thresholds and categorization (defaults - can be overridden in settings)
+  const MIN_VOTES_FOR_CONFIDENCE = 3; // Minimum votes required before we trust any result
+  const MIN_VOTES_FOR_SENSITIVE = 1; // Lower threshold for sensitive topics (animal death, SA, etc.)
+
+  // Wilson Score configuration (defaults - can be overridden in settings)
+  const WILSON_CONFIDENCE_LEVEL = 0.9; // 90% confidence (must be one of CONFIDENCE_LEVELS)
+  const WILSON_CONFIDENCE_THRESHOLD = 0.5; // 50% - majority threshold
+
+  const DEFAULT_MAX_WARNINGS = 5; // Warnings shown besides pinned topics
+  const MAX_WARNINGS_LIMIT = 50;
+
+  // =============================================================================
+  // INTERNAL CONSTANTS - Generally don't need modification
+  // =============================================================================
+
+  // Site addresses, shared so every script calls and links to the same places
+  const DTDD_BASE_URL = 'https://www.doesthedogdie.com';
+  const DTDD_SEARCH_API = `${DTDD_BASE_URL}/dddsearch`;
+  const DTDD_MEDIA_API = `${DTDD_BASE_URL}/media`; // Also the title's page
+  const DTDD_CATEGORIES_API = `${DTDD_BASE_URL}/categories`;
+  const DTDD_VOTE_API = `${DTDD_BASE_URL}/topicItem/vote`;
+  const LETTERBOXD_URL = 'https://letterboxd.com';
+  const LETTERBOXD_FILM_URL = `${LETTERBOXD_URL}/film`;
+
+  // Bump when the stored shape changes, and add a migration to MIGRATIONS
+  const SETTINGS_VERSION = 1;
+  const VERSION_KEY = 'dtdd-settings-version'; // chrome.storage.sync
+
+  // chrome.storage.sync
+  const STORAGE_KEYS = {
+    API_KEY: 'dtdd-key',
+    PINNED_TOPICS: 'dtdd-pinned-topics',
+    MAX_WARNINGS: 'dtdd-max-warnings',
+    POSTER_BADGES: 'dtdd-poster-badges',
+    DEALBREAKER_TOPICS: 'dtdd-dealbreaker-topics',
+    DEALBREAKER_BLUR: 'dtdd-dealbreaker-blur',
+    THRESHOLDS: 'dtdd-thresholds',
+    TOPIC_THRESHOLDS: 'dtdd-topic-thresholds',
+    SPOILER_SAFE: 'dtdd-spoiler-safe',
+    HIDDEN_TOPICS: 'dtdd-hidden-topics',
+    GROUP_WATCH: 'dtdd-group-watch',
+    PROFILES: 'dtdd-profiles',
+    ACTIVE_PROFILE: 'dtdd-active-profile',
+  };
+
+  // chrome.storage.local - per-browser state rather than settings
+  const LOCAL_STORAGE_KEYS = {
+    MEDIA_MAP: 'dtdd-media-map',
+    GROUP_STATE: 'dtdd-group-state',
+    REVEALED_FILMS: 'dtdd-revealed-films',
+    SCRAPE_PROBLEMS: 'dtdd-scrape-problems',
+    HISTORY_CHECK: 'dtdd-history-check',
+  };
+
+  // Profile used until another is created and switched to
+  const DEFAULT_PROFILE_ID = 'default';
+
+  // Settings that belong to a profile rather than the whole browser
+  const PROFILE_SETTING_KEYS = [
+    STORAGE_KEYS.PINNED_TOPICS,
+    STORAGE_KEYS.HIDDEN_TOPICS,
+    STORAGE_KEYS.DEALBREAKER_TOPICS,
+    STORAGE_KEYS.MAX_WARNINGS,
+    STORAGE_KEYS.THRESHOLDS,
+    STORAGE_KEYS.TOPIC_THRESHOLDS,
+  ];
+
+  const TOPIC_LIST_KEYS = [
+    STORAGE_KEYS.PINNED_TOPICS,
+    STORAGE_KEYS.DEALBREAKER_TOPICS,
+    STORAGE_KEYS.HIDDEN_TOPICS,
+  ];
+
+  // Confidence levels offered in settings
+  const CONFIDENCE_LEVELS = [0.8, 0.9, 0.95, 0.99];
+
+  const DEFAULT_THRESHOLDS = Object.freeze({
+    minVotes: MIN_VOTES_FOR_CONFIDENCE,
+    minVotesSensitive: MIN_VOTES_FOR_SENSITIVE,
+    confidenceLevel: WILSON_CONFIDENCE_LEVEL,
+    confidenceThreshold: WILSON_CONFIDENCE_THRESHOLD,
+  });
+
+  // Values used when a setting isn't stored
+  const DEFAULTS = Object.freeze({
+    [STORAGE_KEYS.API_KEY]: '',
+    [STORAGE_KEYS.PINNED_TOPICS]: [],
+    [STORAGE_KEYS.MAX_WARNINGS]: DEFAULT_MAX_WARNINGS,
+    [STORAGE_KEYS.POSTER_BADGES]: false,
+    [STORAGE_KEYS.DEALBREAKER_TOPICS]: [],
+    [STORAGE_KEYS.DEALBREAKER_BLUR]: false,
+    [STORAGE_KEYS.THRESHOLDS]: DEFAULT_THRESHOLDS,
+    [STORAGE_KEYS.TOPIC_THRESHOLDS]: {},
+    [STORAGE_KEYS.SPOILER_SAFE]: false,
+    [STORAGE_KEYS.HIDDEN_TOPICS]: [],
+    [STORAGE_KEYS.GROUP_WATCH]: false,
+  });
+
+  function isBoolean(value) {
+    return typeof value === 'boolean';
+  }
+
+  function isString(value) {
+    return typeof value === 'string';
+  }
+
+  function isPositiveInteger(value) {
+    return Number.isInteger(value) && value >= 1;
+  }
+
+  function isTopicIdList(value) {
+    return Array.isArray(value) && value.every(isPositiveInteger);
+  }
+
+  function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  // Fields of the thresholds object; all are optional
+  const THRESHOLD_VALIDATORS = {
+    minVotes: isPositiveInteger,
+    minVotesSensitive: isPositiveInteger,
+    confidenceLevel: (value) => CONFIDENCE_LEVELS.includes(value),
+    confidenceThreshold: (value) =>
+      typeof value === 'number' && value > 0 && value < 1,
+  };
+
+  function isValidTopicThreshold([topicId, minVotes]) {
+    return isPositiveInteger(Number(topicId)) && isPositiveInteger(minVotes);
+  }
+
+  function isValidProfile(profile) {
+    return (
+      isPlainObject(profile) &&
+      isString(profile.name) &&
+      (profile.settings === undefined || isPlainObject(profile.settings))
+    );
+  }
+
+  // One validator per sync setting, keyed by storage key
+  const VALIDATORS = {
+    [STORAGE_KEYS.API_KEY]: isString,
+    [STORAGE_KEYS.PINNED_TOPICS]: isTopicIdList,
+    [STORAGE_KEYS.MAX_WARNINGS]: (value) =>
+      isPositiveInteger(value) && value <= MAX_WARNINGS_LIMIT,
+    [STORAGE_KEYS.POSTER_BADGES]: isBoolean,
+    [STORAGE_KEYS.DEALBREAKER_TOPICS]: isTopicIdList,
+    [STORAGE_KEYS.DEALBREAKER_BLUR]: isBoolean,
+    [STORAGE_KEYS.THRESHOLDS]: (value) =>
+      isPlainObject(value) &&
+      Object.entries(value).every(([field, fieldValue]) =>
+        THRESHOLD_VALIDATORS[field]?.(fieldValue),
+      ),
+    [STORAGE_KEYS.TOPIC_THRESHOLDS]: (value) =>
+      isPlainObject(value) &&
+      Object.entries(value).every(isValidTopicThreshold),
+    [STORAGE_KEYS.SPOILER_SAFE]: isBoolean,
+    [STORAGE_KEYS.HIDDEN_TOPICS]: isTopicIdList,
+    [STORAGE_KEYS.GROUP_WATCH]: isBoolean,
+    [STORAGE_KEYS.PROFILES]: (value) =>
+      isPlainObject(value) &&
+      Object.keys(value).length > 0 &&
+      Object.values(value).every(isValidProfile),
+    [STORAGE_KEYS.ACTIVE_PROFILE]: isString,
+  };
+
+  // Every sync setting, in the order they're listed in the schema
+  const SETTING_KEYS = Object.keys(VALIDATORS);
+
+  function isValid(key, value) {
+    return VALIDATORS[key]?.(value) ?? false;
+  }
+
+  /**
+   * Read a setting from storage data, falling back to its default
+   */
+  function getSetting(data, key) {
+    return data[key] ?? DEFAULTS[key];
+  }
+
+  /**
+   * Salvage what we can from an invalid value, or return undefined to drop it
+   * Settings saved before versioning were never validated, so topic IDs may
+   * be strings and numbers out of range
+   */
+  function repairSetting(key, value) {
+    if (isValid(key, value)) return value;
+
+    if (TOPIC_LIST_KEYS.includes(key) && Array.isArray(value)) {
+      return [...new Set(value.map(Number))].filter(isPositiveInteger);
+    }
+    if (key === STORAGE_KEYS.MAX_WARNINGS) {
+      const maxWarnings = parseInt(value, 10);
+      return isNaN(maxWarnings)
+        ? undefined
+        : Math.min(Math.max(maxWarnings, 1), MAX_WARNINGS_LIMIT);
+    }
+    if (key === STORAGE_KEYS.THRESHOLDS && isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).filter(([field, fieldValue]) =>
+          THRESHOLD_VALIDATORS[field]?.(fieldValue),
+        ),
+      );
+    }
+    if (key === STORAGE_KEYS.TOPIC_THRESHOLDS && isPlainObject(value)) {
+      return Object.fromEntries(
+        Object.entries(value).filter(isValidTopicThreshold),
+      );
+    }
+    return undefined;
+  }
+
+  /**
+   * Version 1: the first versioned schema. Repairs or drops any value that
+   * doesn't match it, including inside saved profiles
+   */
+  function migrateToVersion1(data) {
+    const migrated = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (!VALIDATORS[key] || key === STORAGE_KEYS.PROFILES) {
+        migrated[key] = value;
+        continue;
+      }
+      const repaired = repairSetting(key, value);
+      if (repaired !== undefined) migrated[key] = repaired;
+    }
+
+    const profiles = data[STORAGE_KEYS.PROFILES];
+    if (isPlainObject(profiles)) {
+      migrated[STORAGE_KEYS.PROFILES] = Object.fromEntries(
+        Object.entries(profiles)
+          .filter(([, profile]) => isPlainObject(profile))
+          .map(([profileId, profile]) => [
+            profileId,
+            {
+              name: isString(profile.name) ? profile.name : profileId,
+              settings: migrateToVersion1(
+                isPlainObject(profile.settings) ? profile.settings : {},
+              ),
+            },
+          ]),
+      );
+      if (Object.keys(migrated[STORAGE_KEYS.PROFILES]).length === 0) {
+        delete migrated[STORAGE_KEYS.PROFILES];
+      }
+    }
+    return migrated;
+  }
+
+  // Migrations keyed by the version they upgrade to; each takes the settings
+  // of the previous version and returns the upgraded settings
+  const MIGRATIONS = {
+    1: migrateToVersion1,
+  };
+
+  /**
+   * Upgrade settings saved at `fromVersion` to the current version
+   * Settings with no version predate versioning and count as version 0
+   */
+  function migrateSettings(data, fromVersion = 0) {
+    let migrated = { ...data };
+    let version = fromVersion;
+    while (version < SETTINGS_VERSION) {
+      version++;
+      migrated = MIGRATIONS[version](migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Upgrade the settings in sync storage, run when the extension is installed
+   * or updated. Settings from a newer version are left alone.
+   */
+  async function migrateStoredSettings() {
+    const stored = await DtddBrowser.storage.sync.get(null);
+    const { [VERSION_KEY]: storedVersion = 0, ...data } = stored;
+    if (storedVersion >= SETTINGS_VERSION) return;
+
+    const migrated = migrateSettings(data, storedVersion);
+    const removed = Object.keys(data).filter((key) => !(key in migrated));
+    const changed = Object.fromEntries(
+      Object.entries(migrated).filter(
+        ([key, value]) => JSON.stringify(value) !== JSON.stringify(data[key]),
+      ),
+    );
+
+    if (removed.length > 0) await DtddBrowser.storage.sync.remove(removed);
+    await DtddBrowser.storage.sync.set({
+      ...changed,
+      [VERSION_KEY]: SETTINGS_VERSION,
+    });
+  }
+
+  return Object.freeze({
+    DTDD_BASE_URL,
+    DTDD_SEARCH_API,
+    DTDD_MEDIA_API,
+    DTDD_CATEGORIES_API,
+    DTDD_VOTE_API,
+    LETTERBOXD_URL,
+    LETTERBOXD_FILM_URL,
+    DEFAULT_PROFILE_ID,
+    MAX_WARNINGS_LIMIT,
+    SETTINGS_VERSION,
+    STORAGE_KEYS,
+    LOCAL_STORAGE_KEYS,
+    PROFILE_SETTING_KEYS,
+    SETTING_KEYS,
+    CONFIDENCE_LEVELS,
+    DEFAULT_THRESHOLDS,
+    DEFAULTS,
+    isValid,
+    getSetting,
+    migrateSettings,
+    migrateStoredSettings,
+  });
+})();
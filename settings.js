@@ -7,43 +7,108 @@
 // CONFIGURATION - Modify these values to adjust settings page behavior
 // =============================================================================
 
-
+// Letterboxd history checks
+const HISTORY_SAVE_EVERY = 10; // Films checked between saves of the progress
 
 // =============================================================================
 // INTERNAL CONSTANTS - Generally don't need modification
 // =============================================================================
 
-const STORAGE_KEYS = {
-  API_KEY: 'dtdd-key',
-  PINNED_TOPICS: 'dtdd-pinned-topics',
-  MAX_WARNINGS: 'dtdd-max-warnings',
-};
+// Storage keys, defaults and validation are shared through settings-schema.js
+const {
+  STORAGE_KEYS,
+  LOCAL_STORAGE_KEYS,
+  DTDD_CATEGORIES_API,
+  DTDD_MEDIA_API,
+  LETTERBOXD_FILM_URL,
+  MAX_WARNINGS_LIMIT,
+} = DtddSettings;
+const { escapeHtml } = DtddFilmLookup;
 
-const DEFAULT_MAX_WARNINGS = 5;
+// Topic tiers toggled from the topics list, keyed by the checkbox's data-tier
+// A topic can't be both pinned and hidden, so each names the tier it excludes
+const TOPIC_TIERS = {
+  pinned: {
+    storageKey: STORAGE_KEYS.PINNED_TOPICS,
+    className: 'pinned',
+    excludes: 'hidden',
+  },
+  dealbreaker: {
+    storageKey: STORAGE_KEYS.DEALBREAKER_TOPICS,
+    className: 'dealbreaker',
+  },
+  hidden: {
+    storageKey: STORAGE_KEYS.HIDDEN_TOPICS,
+    className: 'hidden-topic',
+    excludes: 'pinned',
+  },
+};
 
-const DTDD_CATEGORIES_API = 'https://www.doesthedogdie.com/categories';
+// Settings export document: bump the version when the format changes
+const EXPORT_FORMAT = 'letterboxd-dtdd-settings';
+const EXPORT_VERSION = 1;
+// Profile keys are whole-browser state, so they're only restored on replace
+const REPLACE_ONLY_KEYS = [STORAGE_KEYS.PROFILES, STORAGE_KEYS.ACTIVE_PROFILE];
 
 let allTopics = [];
+// Import waiting for confirmation: { set, remove }
+let pendingImport = null;
+// Letterboxd history check in progress, a lookup batch from DtddFilmLookup
+let historyRun = null;
 
 document.addEventListener('DOMContentLoaded', init);
 
 async function init() {
   await loadSettings();
+  await loadProfiles();
+  loadCacheStats();
+  await loadMediaMatches();
+  await loadScrapeProblems();
   await loadCategories();
+  // Lists topics by name, so once they are loaded
+  await loadHistoryCheck();
   setupEventListeners();
 }
 
 async function loadSettings() {
-  const data = await chrome.storage.sync.get(Object.values(STORAGE_KEYS));
+  const data = await DtddBrowser.storage.sync.get(Object.values(STORAGE_KEYS));
+
+  const { getSetting } = DtddSettings;
 
   const apiKeyInput = document.getElementById('api-key');
-  if (data[STORAGE_KEYS.API_KEY]) {
-    apiKeyInput.value = data[STORAGE_KEYS.API_KEY];
-  }
+  apiKeyInput.value = getSetting(data, STORAGE_KEYS.API_KEY);
 
   const maxWarningsInput = document.getElementById('max-warnings');
-  maxWarningsInput.value =
-    data[STORAGE_KEYS.MAX_WARNINGS] ?? DEFAULT_MAX_WARNINGS;
+  maxWarningsInput.value = getSetting(data, STORAGE_KEYS.MAX_WARNINGS);
+
+  const posterBadgesInput = document.getElementById('poster-badges');
+  posterBadgesInput.checked = getSetting(data, STORAGE_KEYS.POSTER_BADGES);
+
+  const dealbreakerBlurInput = document.getElementById('dealbreaker-blur');
+  dealbreakerBlurInput.checked = getSetting(
+    data,
+    STORAGE_KEYS.DEALBREAKER_BLUR,
+  );
+
+  const spoilerSafeInput = document.getElementById('spoiler-safe');
+  spoilerSafeInput.checked = getSetting(data, STORAGE_KEYS.SPOILER_SAFE);
+
+  const groupWatchInput = document.getElementById('group-watch');
+  groupWatchInput.checked = getSetting(data, STORAGE_KEYS.GROUP_WATCH);
+
+  const thresholds = {
+    ...DtddSettings.DEFAULT_THRESHOLDS,
+    ...data[STORAGE_KEYS.THRESHOLDS],
+  };
+  document.getElementById('min-votes').value = thresholds.minVotes;
+  document.getElementById('min-votes-sensitive').value =
+    thresholds.minVotesSensitive;
+  document.getElementById('confidence-level').value = String(
+    thresholds.confidenceLevel,
+  );
+  document.getElementById('confidence-threshold').value = Math.round(
+    thresholds.confidenceThreshold * 100,
+  );
 }
 
 const MIN_LOADING_TIME_MS = 600;
@@ -73,13 +138,13 @@ async function loadCategories() {
       keywords: topic.keywords || '',
     }));
 
-    // Load pinned state from local storage
-    const data = await chrome.storage.sync.get(STORAGE_KEYS.PINNED_TOPICS);
-    const pinnedIds = new Set(data[STORAGE_KEYS.PINNED_TOPICS] || []);
-
     topicsLoading.style.display = 'none';
     topicsSearch.style.display = 'block';
-    renderTopics(allTopics, pinnedIds);
+    renderTopics(
+      allTopics,
+      await loadTopicTiers(),
+      await loadTopicThresholds(),
+    );
   } catch (err) {
     console.error('[DTDD] Failed to load categories:', err);
     topicsLoading.style.display = 'none';
@@ -87,7 +152,30 @@ async function loadCategories() {
   }
 }
 
-function renderTopics(topics, pinnedIds) {
+/**
+ * Load the topic ID sets for each tier, e.g. { pinned: Set, dealbreaker: Set }
+ */
+async function loadTopicTiers() {
+  const data = await DtddBrowser.storage.sync.get(
+    Object.values(TOPIC_TIERS).map((tier) => tier.storageKey),
+  );
+
+  return Object.fromEntries(
+    Object.entries(TOPIC_TIERS).map(([name, tier]) => [
+      name,
+      new Set(data[tier.storageKey] || []),
+    ]),
+  );
+}
+
+async function loadTopicThresholds() {
+  const data = await DtddBrowser.storage.sync.get(
+    STORAGE_KEYS.TOPIC_THRESHOLDS,
+  );
+  return data[STORAGE_KEYS.TOPIC_THRESHOLDS] || {};
+}
+
+function renderTopics(topics, tiers, topicThresholds) {
   const topicsContainer = document.getElementById('topics-container');
 
   if (topics.length === 0) {
@@ -96,11 +184,17 @@ function renderTopics(topics, pinnedIds) {
     return;
   }
 
-  // Sort: pinned first, then by category, then by id
+  // Sort: dealbreakers first, then pinned, hidden last, then by category and id
   const sorted = [...topics].sort((a, b) => {
-    const aPinned = pinnedIds.has(a.id);
-    const bPinned = pinnedIds.has(b.id);
+    const aDealbreaker = tiers.dealbreaker.has(a.id);
+    const bDealbreaker = tiers.dealbreaker.has(b.id);
+    if (aDealbreaker !== bDealbreaker) return bDealbreaker - aDealbreaker;
+    const aPinned = tiers.pinned.has(a.id);
+    const bPinned = tiers.pinned.has(b.id);
     if (aPinned !== bPinned) return bPinned - aPinned;
+    const aHidden = tiers.hidden.has(a.id);
+    const bHidden = tiers.hidden.has(b.id);
+    if (aHidden !== bHidden) return aHidden - bHidden;
     const categoryCompare = a.categoryName.localeCompare(b.categoryName);
     if (categoryCompare !== 0) return categoryCompare;
     return a.id - b.id;
@@ -108,64 +202,241 @@ function renderTopics(topics, pinnedIds) {
 
   topicsContainer.innerHTML = sorted
     .map((topic) => {
-      const isPinned = pinnedIds.has(topic.id);
+      const isPinned = tiers.pinned.has(topic.id);
+      const isDealbreaker = tiers.dealbreaker.has(topic.id);
+      const isHidden = tiers.hidden.has(topic.id);
+      const minVotes = topicThresholds[topic.id] ?? '';
       return `
-      <label class="topic-item ${isPinned ? 'pinned' : ''}" data-topic-id="${topic.id}">
-        <input type="checkbox" ${isPinned ? 'checked' : ''}>
-        <span class="topic-name">${escapeHtml(topic.name.toLowerCase())}</span>
-        <span class="topic-category">${escapeHtml(topic.categoryName)}</span>
-      </label>
+      <div class="topic-item ${isPinned ? 'pinned' : ''} ${isDealbreaker ? 'dealbreaker' : ''} ${isHidden ? 'hidden-topic' : ''}" data-topic-id="${topic.id}">
+        <label class="topic-pin">
+          <input type="checkbox" data-tier="pinned" ${isPinned ? 'checked' : ''}>
+          <span class="topic-name">${escapeHtml(topic.name.toLowerCase())}</span>
+          <span class="topic-category">${escapeHtml(topic.categoryName)}</span>
+        </label>
+        <label class="topic-tier-toggle topic-tier-hide" title="Keep this topic out of the warnings list">
+          <input type="checkbox" data-tier="hidden" ${isHidden ? 'checked' : ''}>
+          Hide
+        </label>
+        <label class="topic-tier-toggle topic-tier-dealbreaker" title="Show a prominent alert when this topic is confirmed">
+          <input type="checkbox" data-tier="dealbreaker" ${isDealbreaker ? 'checked' : ''}>
+          Dealbreaker
+        </label>
+        <input type="number" class="topic-min-votes" min="1" value="${minVotes}" placeholder="Votes" title="Minimum votes for this topic (leave blank to use the default)">
+      </div>
     `;
     })
     .join('');
 }
 
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+function fetchDtdd(url) {
+  return sendMessage({ name: 'DTDD_FETCH', url }).then((response) => {
+    if (response?.error) {
+      console.error('[DTDD] API error:', response.error);
+      return null;
+    }
+    return response?.data || null;
+  });
+}
+
+async function loadCacheStats() {
+  const cacheStats = document.getElementById('cache-stats');
+  const stats = await sendMessage({ name: 'DTDD_CACHE_STATS' });
+
+  if (!stats) {
+    cacheStats.textContent = 'Cache statistics unavailable';
+    return;
+  }
+
+  if (stats.entries === 0) {
+    cacheStats.textContent = 'Cache is empty';
+    return;
+  }
+
+  const sizeKb = (stats.bytes / 1024).toFixed(0);
+  const maxKb = (stats.maxBytes / 1024).toFixed(0);
+  const oldest = new Date(stats.oldestFetchedAt).toLocaleDateString();
+  cacheStats.textContent = `${stats.entries} responses, ${sizeKb} KB of ${maxKb} KB, oldest from ${oldest}`;
 }
 
-function fetchDtdd(url) {
-  return new Promise((resolve) => {
-    chrome.runtime.sendMessage({ name: 'DTDD_FETCH', url }, (response) => {
-      if (chrome.runtime.lastError) {
-        console.error(
-          '[DTDD] Message error:',
-          chrome.runtime.lastError.message,
-        );
-        resolve(null);
-        return;
-      }
-      if (response?.error) {
-        console.error('[DTDD] API error:', response.error);
-        resolve(null);
-        return;
-      }
-      resolve(response?.data || null);
-    });
+async function loadMediaMatches() {
+  const data = await DtddBrowser.storage.local.get(
+    LOCAL_STORAGE_KEYS.MEDIA_MAP,
+  );
+  renderMediaMatches(data[LOCAL_STORAGE_KEYS.MEDIA_MAP] || {});
+}
+
+function renderMediaMatches(mediaMap) {
+  const matchesContainer = document.getElementById('matches-container');
+  const autoMatchesStats = document.getElementById('auto-matches-stats');
+  const autoMatchesClear = document.getElementById('auto-matches-clear');
+
+  const entries = Object.entries(mediaMap);
+  const manual = entries
+    .filter(([, mapping]) => mapping.isManual)
+    .sort(([a], [b]) => a.localeCompare(b));
+  const autoCount = entries.length - manual.length;
+
+  matchesContainer.innerHTML = manual.length
+    ? manual
+        .map(([slug, mapping]) => {
+          const name = mapping.name
+            ? `${mapping.name}${mapping.releaseYear ? ` (${mapping.releaseYear})` : ''}`
+            : 'Unknown DTDD title';
+          return `
+          <div class="match-item" data-slug="${escapeHtml(slug)}">
+            <div class="match-film">
+              <a href="${LETTERBOXD_FILM_URL}/${encodeURIComponent(slug)}/" target="_blank" rel="noopener">${escapeHtml(slug)}</a>
+              <span class="match-name">${escapeHtml(name)}</span>
+            </div>
+            <input type="number" min="1" value="${mapping.mediaId}" title="DTDD media ID">
+            <button type="button" class="btn-secondary" data-action="remove-match">Remove</button>
+          </div>
+        `;
+        })
+        .join('')
+    : '<div class="topics-empty">No manual matches. Use "Wrong title?" on a film page to choose one.</div>';
+
+  autoMatchesStats.textContent = `${autoCount} films matched automatically`;
+  autoMatchesClear.disabled = autoCount === 0;
+}
+
+async function loadScrapeProblems() {
+  const data = await DtddBrowser.storage.local.get(
+    LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS,
+  );
+  renderScrapeProblems(data[LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS] || []);
+}
+
+function renderScrapeProblems(problems) {
+  const problemsStats = document.getElementById('scrape-problems-stats');
+  const problemsCopy = document.getElementById('scrape-problems-copy');
+  const problemsClear = document.getElementById('scrape-problems-clear');
+
+  const unreadableCount = problems.filter((p) => p.isUnreadable).length;
+  problemsStats.textContent =
+    problems.length === 0
+      ? 'No problems reading Letterboxd pages'
+      : `${problems.length} recent film pages didn't read normally${unreadableCount ? `, ${unreadableCount} couldn't be read at all` : ''}`;
+  problemsCopy.disabled = problems.length === 0;
+  problemsClear.disabled = problems.length === 0;
+}
+
+function sendMessage(msg) {
+  return DtddBrowser.sendMessage(msg).catch((e) => {
+    console.error('[DTDD] Message error:', e.message);
+    return null;
   });
 }
 
 function setupEventListeners() {
+  const profileSelect = document.getElementById('profile-select');
+  profileSelect.addEventListener('change', () =>
+    handleProfileAction('switch', { profileId: profileSelect.value }),
+  );
+
+  const profileName = document.getElementById('profile-name');
+  const profileCreate = document.getElementById('profile-create');
+  profileCreate.addEventListener('click', () =>
+    handleProfileAction('create', { profileName: profileName.value }),
+  );
+
+  const profileRename = document.getElementById('profile-rename');
+  profileRename.addEventListener('click', () =>
+    handleProfileAction('rename', {
+      profileId: profileSelect.value,
+      profileName: profileName.value,
+    }),
+  );
+
+  const profileDelete = document.getElementById('profile-delete');
+  profileDelete.addEventListener('click', handleProfileDelete);
+
+  const groupWatchInput = document.getElementById('group-watch');
+  groupWatchInput.addEventListener('change', handleGroupWatchChange);
+
+  // Profiles can also be switched from the film page
+  DtddBrowser.storage.onChanged.addListener(handleStorageChange);
+
   const apiKeyInput = document.getElementById('api-key');
   apiKeyInput.addEventListener('change', handleApiKeyChange);
 
   const maxWarningsInput = document.getElementById('max-warnings');
   maxWarningsInput.addEventListener('change', handleMaxWarningsChange);
 
+  const posterBadgesInput = document.getElementById('poster-badges');
+  posterBadgesInput.addEventListener('change', handlePosterBadgesChange);
+
+  const dealbreakerBlurInput = document.getElementById('dealbreaker-blur');
+  dealbreakerBlurInput.addEventListener('change', handleDealbreakerBlurChange);
+
+  const spoilerSafeInput = document.getElementById('spoiler-safe');
+  spoilerSafeInput.addEventListener('change', handleSpoilerSafeChange);
+
+  for (const id of [
+    'min-votes',
+    'min-votes-sensitive',
+    'confidence-level',
+    'confidence-threshold',
+  ]) {
+    document
+      .getElementById(id)
+      .addEventListener('change', handleThresholdsChange);
+  }
+
+  const cacheClear = document.getElementById('cache-clear');
+  cacheClear.addEventListener('click', handleCacheClear);
+
+  const settingsExport = document.getElementById('settings-export');
+  settingsExport.addEventListener('click', handleSettingsExport);
+
+  const importFile = document.getElementById('import-file');
+  const settingsImport = document.getElementById('settings-import');
+  settingsImport.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', handleImportFileChange);
+
+  const importPreview = document.getElementById('import-preview');
+  importPreview.addEventListener('click', handleImportPreviewClick);
+
+  const matchesContainer = document.getElementById('matches-container');
+  matchesContainer.addEventListener('click', handleMatchRemove);
+  matchesContainer.addEventListener('change', handleMatchEdit);
+
+  const autoMatchesClear = document.getElementById('auto-matches-clear');
+  autoMatchesClear.addEventListener('click', handleAutoMatchesClear);
+
+  const problemsCopy = document.getElementById('scrape-problems-copy');
+  problemsCopy.addEventListener('click', handleScrapeProblemsCopy);
+
+  const problemsClear = document.getElementById('scrape-problems-clear');
+  problemsClear.addEventListener('click', handleScrapeProblemsClear);
+
+  const historyFiles = document.getElementById('history-files');
+  const historyChoose = document.getElementById('history-choose');
+  historyChoose.addEventListener('click', () => historyFiles.click());
+  historyFiles.addEventListener('change', handleHistoryFilesChange);
+
+  const historyResume = document.getElementById('history-resume');
+  historyResume.addEventListener('click', handleHistoryResume);
+
+  const historyStop = document.getElementById('history-stop');
+  historyStop.addEventListener('click', handleHistoryStop);
+
+  const historyClear = document.getElementById('history-clear');
+  historyClear.addEventListener('click', handleHistoryClear);
+
   const topicsSearch = document.getElementById('topics-search');
   topicsSearch.addEventListener('input', handleSearch);
 
   const topicsContainer = document.getElementById('topics-container');
   topicsContainer.addEventListener('change', handleTopicToggle);
+  topicsContainer.addEventListener('change', handleTopicThresholdChange);
 }
 
-async function handleSearch(event) {
-  const query = event.target.value.toLowerCase().trim();
-
-  const data = await chrome.storage.sync.get(STORAGE_KEYS.PINNED_TOPICS);
-  const pinnedIds = new Set(data[STORAGE_KEYS.PINNED_TOPICS] || []);
+async function handleSearch() {
+  const query = document
+    .getElementById('topics-search')
+    .value.toLowerCase()
+    .trim();
 
   const filtered = query
     ? allTopics.filter(
@@ -176,12 +447,103 @@ async function handleSearch(event) {
       )
     : allTopics;
 
-  renderTopics(filtered, pinnedIds);
+  renderTopics(filtered, await loadTopicTiers(), await loadTopicThresholds());
+}
+
+async function loadProfiles() {
+  const response = await sendMessage({ name: 'DTDD_PROFILE', action: 'list' });
+  if (response?.data) renderProfiles(response.data);
+}
+
+function renderProfiles({ profiles, activeId }) {
+  const profileSelect = document.getElementById('profile-select');
+  profileSelect.innerHTML = profiles
+    .map(
+      (profile) =>
+        `<option value="${escapeHtml(profile.id)}" ${profile.id === activeId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`,
+    )
+    .join('');
+
+  document.getElementById('profile-name').value =
+    profiles.find((profile) => profile.id === activeId)?.name ?? '';
+  document.getElementById('profile-delete').disabled = profiles.length < 2;
+}
+
+function showProfileStatus(message) {
+  const status = document.getElementById('profile-status');
+  status.textContent = message ?? '';
+  status.hidden = !message;
+}
+
+/**
+ * Ask the background script to change profiles
+ * Switching swaps the profile's settings into storage; the storage change
+ * listener then reloads the settings shown on this page
+ */
+async function handleProfileAction(action, fields = {}) {
+  const response = await sendMessage({
+    name: 'DTDD_PROFILE',
+    action,
+    ...fields,
+  });
+
+  if (!response || response.error) {
+    showProfileStatus(response?.error || 'Failed to update profiles');
+    await loadProfiles();
+    return;
+  }
+
+  showProfileStatus(null);
+  renderProfiles(response.data);
+}
+
+async function handleProfileDelete() {
+  const profileSelect = document.getElementById('profile-select');
+  const name = profileSelect.selectedOptions[0]?.textContent;
+  if (!confirm(`Delete the profile "${name}" and its settings?`)) return;
+
+  await handleProfileAction('delete', { profileId: profileSelect.value });
+}
+
+async function handleGroupWatchChange(event) {
+  await DtddBrowser.storage.sync.set({
+    [STORAGE_KEYS.GROUP_WATCH]: event.target.checked,
+  });
+}
+
+/**
+ * Reload the profile's settings when another profile becomes active
+ */
+async function handleStorageChange(changes, areaName) {
+  if (areaName !== 'sync') return;
+
+  if (STORAGE_KEYS.PROFILES in changes) {
+    await loadProfiles();
+  }
+  if (
+    STORAGE_KEYS.ACTIVE_PROFILE in changes ||
+    STORAGE_KEYS.GROUP_WATCH in changes
+  ) {
+    await loadSettings();
+    if (allTopics.length > 0) await handleSearch();
+  }
+}
+
+/**
+ * Save a setting unless the shared schema rejects it, so nothing is saved
+ * that an export would drop or a migration would change
+ * Returns whether it was saved
+ */
+async function saveSetting(key, value) {
+  if (!DtddSettings.isValid(key, value)) return false;
+
+  await DtddBrowser.storage.sync.set({ [key]: value });
+  return true;
 }
 
 async function handleApiKeyChange(event) {
   const apiKey = event.target.value.trim();
-  await chrome.storage.sync.set({
+  await DtddBrowser.storage.sync.set({
     [STORAGE_KEYS.API_KEY]: apiKey,
   });
 }
@@ -190,30 +552,724 @@ async function handleMaxWarningsChange(event) {
   const value = parseInt(event.target.value, 10);
   if (isNaN(value) || value < 1) return;
 
-  await chrome.storage.sync.set({
-    [STORAGE_KEYS.MAX_WARNINGS]: value,
+  // A typed value isn't held to the input's max
+  const maxWarnings = Math.min(value, MAX_WARNINGS_LIMIT);
+  event.target.value = maxWarnings;
+  await saveSetting(STORAGE_KEYS.MAX_WARNINGS, maxWarnings);
+}
+
+async function handleCacheClear(event) {
+  const button = event.target;
+  button.disabled = true;
+  await sendMessage({ name: 'DTDD_CACHE_CLEAR' });
+  await loadCacheStats();
+  button.disabled = false;
+}
+
+/**
+ * Apply a change to the stored film → DTDD media map and re-render it
+ */
+async function updateMediaMap(mutate) {
+  const data = await DtddBrowser.storage.local.get(
+    LOCAL_STORAGE_KEYS.MEDIA_MAP,
+  );
+  const mediaMap = data[LOCAL_STORAGE_KEYS.MEDIA_MAP] || {};
+  await mutate(mediaMap);
+  await DtddBrowser.storage.local.set({
+    [LOCAL_STORAGE_KEYS.MEDIA_MAP]: mediaMap,
+  });
+  renderMediaMatches(mediaMap);
+}
+
+async function handleMatchRemove(event) {
+  if (event.target.dataset.action !== 'remove-match') return;
+
+  const { slug } = event.target.closest('.match-item').dataset;
+  await updateMediaMap((mediaMap) => {
+    delete mediaMap[slug];
   });
 }
 
+async function handleMatchEdit(event) {
+  if (event.target.type !== 'number') return;
+
+  const mediaId = parseInt(event.target.value, 10);
+  if (isNaN(mediaId) || mediaId < 1) return;
+
+  const { slug } = event.target.closest('.match-item').dataset;
+  const details = await fetchDtdd(`${DTDD_MEDIA_API}/${mediaId}`);
+
+  await updateMediaMap((mediaMap) => {
+    mediaMap[slug] = {
+      mediaId,
+      name: details?.item?.name ?? null,
+      releaseYear: details?.item?.releaseYear ?? null,
+      isManual: true,
+    };
+  });
+}
+
+async function handleAutoMatchesClear() {
+  await updateMediaMap((mediaMap) => {
+    for (const [slug, mapping] of Object.entries(mediaMap)) {
+      if (!mapping.isManual) delete mediaMap[slug];
+    }
+  });
+}
+
+/**
+ * Copy the scrape problems record as JSON, for pasting into a bug report
+ */
+async function handleScrapeProblemsCopy(event) {
+  const button = event.target;
+  const data = await DtddBrowser.storage.local.get(
+    LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS,
+  );
+  await navigator.clipboard.writeText(
+    JSON.stringify(data[LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS] || [], null, 2),
+  );
+  button.textContent = 'Copied';
+  setTimeout(() => {
+    button.textContent = 'Copy Report';
+  }, 2000);
+}
+
+async function handleScrapeProblemsClear() {
+  await DtddBrowser.storage.local.remove(LOCAL_STORAGE_KEYS.SCRAPE_PROBLEMS);
+  renderScrapeProblems([]);
+}
+
+async function handlePosterBadgesChange(event) {
+  await DtddBrowser.storage.sync.set({
+    [STORAGE_KEYS.POSTER_BADGES]: event.target.checked,
+  });
+}
+
+async function handleDealbreakerBlurChange(event) {
+  await DtddBrowser.storage.sync.set({
+    [STORAGE_KEYS.DEALBREAKER_BLUR]: event.target.checked,
+  });
+}
+
+async function handleSpoilerSafeChange(event) {
+  await DtddBrowser.storage.sync.set({
+    [STORAGE_KEYS.SPOILER_SAFE]: event.target.checked,
+  });
+}
+
+async function handleThresholdsChange() {
+  const minVotes = parseInt(document.getElementById('min-votes').value, 10);
+  const minVotesSensitive = parseInt(
+    document.getElementById('min-votes-sensitive').value,
+    10,
+  );
+  const confidenceLevel = parseFloat(
+    document.getElementById('confidence-level').value,
+  );
+  const confidencePercent = parseInt(
+    document.getElementById('confidence-threshold').value,
+    10,
+  );
+
+  await saveSetting(STORAGE_KEYS.THRESHOLDS, {
+    minVotes,
+    minVotesSensitive,
+    confidenceLevel,
+    confidenceThreshold: confidencePercent / 100,
+  });
+}
+
+async function handleTopicThresholdChange(event) {
+  if (!event.target.classList.contains('topic-min-votes')) return;
+
+  const topicId = event.target.closest('.topic-item').dataset.topicId;
+  const minVotes = parseInt(event.target.value, 10);
+
+  const topicThresholds = await loadTopicThresholds();
+  if (isNaN(minVotes) || minVotes < 1) {
+    event.target.value = '';
+    delete topicThresholds[topicId];
+  } else {
+    topicThresholds[topicId] = minVotes;
+  }
+
+  await saveSetting(STORAGE_KEYS.TOPIC_THRESHOLDS, topicThresholds);
+}
+
 async function handleTopicToggle(event) {
   if (event.target.type !== 'checkbox') return;
 
+  const tier = TOPIC_TIERS[event.target.dataset.tier];
+  if (!tier) return;
+
   const topicItem = event.target.closest('.topic-item');
   const topicId = parseInt(topicItem.dataset.topicId, 10);
-  const isPinned = event.target.checked;
+  const isChecked = event.target.checked;
+  const excludedTier = isChecked ? TOPIC_TIERS[tier.excludes] : null;
 
-  const data = await chrome.storage.sync.get(STORAGE_KEYS.PINNED_TOPICS);
-  const pinnedIds = new Set(data[STORAGE_KEYS.PINNED_TOPICS] || []);
+  const data = await DtddBrowser.storage.sync.get(
+    [tier.storageKey, excludedTier?.storageKey].filter(Boolean),
+  );
+  const topicIds = new Set(data[tier.storageKey] || []);
+  const updates = {};
 
-  if (isPinned) {
-    pinnedIds.add(topicId);
-    topicItem.classList.add('pinned');
+  if (isChecked) {
+    topicIds.add(topicId);
+    topicItem.classList.add(tier.className);
   } else {
-    pinnedIds.delete(topicId);
-    topicItem.classList.remove('pinned');
+    topicIds.delete(topicId);
+    topicItem.classList.remove(tier.className);
+  }
+  updates[tier.storageKey] = [...topicIds];
+
+  if (excludedTier) {
+    const excludedIds = new Set(data[excludedTier.storageKey] || []);
+    excludedIds.delete(topicId);
+    updates[excludedTier.storageKey] = [...excludedIds];
+    topicItem.classList.remove(excludedTier.className);
+    topicItem.querySelector(`[data-tier="${tier.excludes}"]`).checked = false;
+  }
+
+  await DtddBrowser.storage.sync.set(updates);
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Names shown in the import preview
+const SETTING_LABELS = {
+  [STORAGE_KEYS.API_KEY]: 'API key',
+  [STORAGE_KEYS.PINNED_TOPICS]: 'Pinned topics',
+  [STORAGE_KEYS.MAX_WARNINGS]: 'Maximum warnings',
+  [STORAGE_KEYS.POSTER_BADGES]: 'Poster badges',
+  [STORAGE_KEYS.DEALBREAKER_TOPICS]: 'Dealbreaker topics',
+  [STORAGE_KEYS.DEALBREAKER_BLUR]: 'Blur for dealbreakers',
+  [STORAGE_KEYS.THRESHOLDS]: 'Vote thresholds',
+  [STORAGE_KEYS.TOPIC_THRESHOLDS]: 'Per-topic minimum votes',
+  [STORAGE_KEYS.SPOILER_SAFE]: 'Spoiler-safe mode',
+  [STORAGE_KEYS.HIDDEN_TOPICS]: 'Hidden topics',
+  [STORAGE_KEYS.GROUP_WATCH]: 'Group watch',
+  [STORAGE_KEYS.PROFILES]: 'Profiles',
+  [STORAGE_KEYS.ACTIVE_PROFILE]: 'Active profile',
+};
+
+function getExportableKeys(includeApiKey) {
+  return DtddSettings.SETTING_KEYS.filter(
+    (key) => includeApiKey || key !== STORAGE_KEYS.API_KEY,
+  );
+}
+
+async function handleSettingsExport() {
+  const includeApiKey = document.getElementById('transfer-api-key').checked;
+  const settings = await DtddBrowser.storage.sync.get(
+    getExportableKeys(includeApiKey),
+  );
+
+  const exported = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    settingsVersion: DtddSettings.SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+  };
+
+  const blob = new Blob([JSON.stringify(exported, null, 2)], {
+    type: 'application/json',
+  });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `letterboxd-dtdd-settings-${exported.exportedAt.slice(0, 10)}.json`;
+  link.click();
+  URL.revokeObjectURL(link.href);
+}
+
+/**
+ * Check an imported document against the export format and settings schema
+ * Settings from older versions are migrated first; invalid or unknown settings
+ * are skipped and reported, rather than failing the whole import
+ */
+function validateSettingsDocument(doc) {
+  if (!isPlainObject(doc) || doc.format !== EXPORT_FORMAT) {
+    throw new Error("This file isn't a settings export from this extension");
+  }
+  const settingsVersion = doc.settingsVersion ?? 0;
+  if (
+    !(doc.version <= EXPORT_VERSION) ||
+    !(settingsVersion <= DtddSettings.SETTINGS_VERSION)
+  ) {
+    throw new Error(
+      'This file was exported by a newer version of the extension',
+    );
+  }
+  if (!isPlainObject(doc.settings)) {
+    throw new Error('This file has no settings');
+  }
+
+  const migrated = DtddSettings.migrateSettings(doc.settings, settingsVersion);
+  const settings = {};
+  const warnings = [];
+  for (const [key, value] of Object.entries(migrated)) {
+    if (!DtddSettings.SETTING_KEYS.includes(key)) {
+      warnings.push(`Skipped unknown setting "${key}"`);
+    } else if (!DtddSettings.isValid(key, value)) {
+      warnings.push(`Skipped invalid value for ${SETTING_LABELS[key]}`);
+    } else {
+      settings[key] = value;
+    }
+  }
+  return { settings, warnings };
+}
+
+/**
+ * Work out the storage changes for an import
+ * Merging adds imported topics to the current lists and overrides the other
+ * settings it contains; replacing restores exactly what was exported
+ */
+function buildImportPlan(current, imported, { mode, includeApiKey }) {
+  const keys = getExportableKeys(includeApiKey);
+  const set = {};
+  const remove = [];
+
+  for (const key of keys) {
+    const hasImported = key in imported;
+    if (mode === 'merge') {
+      if (!hasImported || REPLACE_ONLY_KEYS.includes(key)) continue;
+      set[key] = mergeSetting(current[key], imported[key]);
+    } else if (hasImported) {
+      set[key] = imported[key];
+    } else if (key in current && key !== STORAGE_KEYS.API_KEY) {
+      remove.push(key);
+    }
+  }
+
+  const changes = [...Object.keys(set), ...remove]
+    .map((key) => ({ key, before: current[key], after: set[key] }))
+    .filter(
+      ({ before, after }) => JSON.stringify(before) !== JSON.stringify(after),
+    );
+
+  return { set, remove, changes };
+}
+
+function mergeSetting(currentValue, importedValue) {
+  if (Array.isArray(importedValue)) {
+    return [...new Set([...(currentValue || []), ...importedValue])];
+  }
+  if (isPlainObject(importedValue)) {
+    return { ...currentValue, ...importedValue };
+  }
+  return importedValue;
+}
+
+function getTopicName(topicId) {
+  const topic = allTopics.find((t) => t.id === topicId);
+  return topic ? topic.name.toLowerCase() : `topic #${topicId}`;
+}
+
+/**
+ * Describe one change for the preview, listing topics added and removed
+ */
+function describeChange({ key, before, after }) {
+  if (after === undefined) return 'reset to default';
+
+  if (Array.isArray(after)) {
+    const beforeIds = new Set(before || []);
+    const afterIds = new Set(after);
+    const added = after.filter((id) => !beforeIds.has(id));
+    const removed = [...beforeIds].filter((id) => !afterIds.has(id));
+    return [
+      ...added.map((id) => `+ ${getTopicName(id)}`),
+      ...removed.map((id) => `− ${getTopicName(id)}`),
+    ].join(', ');
+  }
+
+  if (key === STORAGE_KEYS.API_KEY) return 'replaced';
+  if (key === STORAGE_KEYS.PROFILES) {
+    return Object.values(after)
+      .map((profile) => profile.name)
+      .join(', ');
+  }
+  if (isPlainObject(after)) return 'updated';
+  return `${JSON.stringify(before ?? null)} → ${JSON.stringify(after)}`;
+}
+
+async function handleImportFileChange(event) {
+  const file = event.target.files[0];
+  event.target.value = '';
+  if (!file) return;
+
+  try {
+    const { settings, warnings } = validateSettingsDocument(
+      JSON.parse(await file.text()),
+    );
+    const mode = document.getElementById('import-mode').value;
+    const includeApiKey = document.getElementById('transfer-api-key').checked;
+    const current = await DtddBrowser.storage.sync.get(
+      getExportableKeys(includeApiKey),
+    );
+
+    const plan = buildImportPlan(current, settings, { mode, includeApiKey });
+    pendingImport = plan;
+    renderImportPreview(plan, warnings);
+  } catch (err) {
+    console.error('[DTDD] Import failed:', err);
+    pendingImport = null;
+    renderImportPreview(null, [
+      err instanceof SyntaxError ? "This file isn't valid JSON" : err.message,
+    ]);
+  }
+}
+
+function renderImportPreview(plan, warnings) {
+  const importPreview = document.getElementById('import-preview');
+  importPreview.hidden = false;
+
+  const warningsHtml = warnings
+    .map((warning) => `<li class="import-warning">${escapeHtml(warning)}</li>`)
+    .join('');
+
+  if (!plan) {
+    importPreview.innerHTML = `
+      <ul class="import-changes">${warningsHtml}</ul>
+      <div class="action-row">
+        <span></span>
+        <button type="button" class="btn-secondary" data-action="cancel-import">Close</button>
+      </div>
+    `;
+    return;
+  }
+
+  const changesHtml = plan.changes
+    .map(
+      (change) =>
+        `<li><span class="import-setting">${escapeHtml(SETTING_LABELS[change.key])}</span> ${escapeHtml(describeChange(change))}</li>`,
+    )
+    .join('');
+  const summary =
+    plan.changes.length > 0
+      ? `${plan.changes.length} setting${plan.changes.length === 1 ? '' : 's'} will change`
+      : 'Nothing to change - these settings match yours';
+
+  importPreview.innerHTML = `
+    <div class="action-row-text">${summary}</div>
+    <ul class="import-changes">${changesHtml}${warningsHtml}</ul>
+    <div class="action-row">
+      <button type="button" class="btn-secondary" data-action="cancel-import">Cancel</button>
+      <button type="button" class="btn-secondary" data-action="apply-import" ${plan.changes.length === 0 ? 'disabled' : ''}>Apply Import</button>
+    </div>
+  `;
+}
+
+async function handleImportPreviewClick(event) {
+  const { action } = event.target.dataset;
+  if (action !== 'apply-import' && action !== 'cancel-import') return;
+
+  const plan = pendingImport;
+  pendingImport = null;
+  document.getElementById('import-preview').hidden = true;
+
+  if (action !== 'apply-import' || !plan) return;
+
+  if (plan.remove.length > 0)
+    await DtddBrowser.storage.sync.remove(plan.remove);
+  await DtddBrowser.storage.sync.set(plan.set);
+
+  await loadSettings();
+  await loadProfiles();
+  if (allTopics.length > 0) await handleSearch();
+}
+
+/**
+ * Split CSV text into rows of fields, with quoted fields as in RFC 4180
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
   }
+  return rows;
+}
 
-  await chrome.storage.sync.set({
-    [STORAGE_KEYS.PINNED_TOPICS]: [...pinnedIds],
+/**
+ * Films in a Letterboxd export file such as watchlist.csv, diary.csv or
+ * ratings.csv, or null if it doesn't have the export's Name and Year columns
+ */
+function readLetterboxdExport(text) {
+  const [header = [], ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  const nameIndex = header.indexOf('Name');
+  const yearIndex = header.indexOf('Year');
+  if (nameIndex === -1 || yearIndex === -1) return null;
+
+  return rows
+    .filter((row) => row[nameIndex])
+    .map((row) => ({ name: row[nameIndex], year: row[yearIndex] || null }));
+}
+
+async function getHistoryCheck() {
+  const data = await DtddBrowser.storage.local.get(
+    LOCAL_STORAGE_KEYS.HISTORY_CHECK,
+  );
+  return data[LOCAL_STORAGE_KEYS.HISTORY_CHECK] || null;
+}
+
+function saveHistoryCheck(check) {
+  return DtddBrowser.storage.local.set({
+    [LOCAL_STORAGE_KEYS.HISTORY_CHECK]: check,
   });
 }
+
+async function loadHistoryCheck() {
+  renderHistoryCheck(await getHistoryCheck());
+}
+
+/**
+ * Films still to check: never checked, or failed last time
+ */
+function getUncheckedFilms(check) {
+  return check.films.filter(
+    (film) => film.status === 'pending' || film.status === 'error',
+  );
+}
+
+/**
+ * Start a check of the chosen export files, replacing the saved one
+ * A film in several files (or several times in the diary) is checked once
+ */
+async function handleHistoryFilesChange(event) {
+  const files = [...event.target.files];
+  event.target.value = '';
+  if (files.length === 0 || historyRun) return;
+
+  const films = new Map();
+  for (const file of files) {
+    const exported = readLetterboxdExport(await file.text());
+    if (!exported) {
+      document.getElementById('history-status').textContent =
+        `${file.name} isn't a Letterboxd export: it has no Name and Year columns`;
+      return;
+    }
+
+    const list = file.name.replace(/\.csv$/i, '');
+    for (const { name, year } of exported) {
+      const key = `${name} (${year})`;
+      const film = films.get(key);
+      if (film) {
+        if (!film.lists.includes(list)) film.lists.push(list);
+        continue;
+      }
+      films.set(key, {
+        name,
+        year,
+        lists: [list],
+        status: 'pending',
+        mediaId: null,
+        hits: [],
+      });
+    }
+  }
+
+  const current = await getHistoryCheck();
+  if (
+    current &&
+    getUncheckedFilms(current).length > 0 &&
+    !confirm('Replace the unfinished check? Its progress will be lost.')
+  ) {
+    return;
+  }
+
+  const check = {
+    files: files.map((file) => file.name),
+    startedAt: new Date().toISOString(),
+    films: [...films.values()],
+  };
+  await saveHistoryCheck(check);
+  await runHistoryCheck(check);
+}
+
+async function handleHistoryResume() {
+  const check = await getHistoryCheck();
+  if (check && !historyRun) await runHistoryCheck(check);
+}
+
+async function handleHistoryClear() {
+  if (historyRun) return;
+  await DtddBrowser.storage.local.remove(LOCAL_STORAGE_KEYS.HISTORY_CHECK);
+  renderHistoryCheck(null);
+}
+
+/**
+ * Stop queueing films; the check ends once the lookups already running
+ * finish, so a resumed check can't look up a film a second time
+ */
+function handleHistoryStop() {
+  if (!historyRun || historyRun.isStopped) return;
+  historyRun.stop();
+  document.getElementById('history-stop').disabled = true;
+  document.getElementById('history-status').textContent = 'Stopping...';
+}
+
+/**
+ * Check the films not yet checked through a throttled queue, saving the
+ * progress as it goes so a stopped or interrupted check can be resumed
+ */
+async function runHistoryCheck(check) {
+  const storageData = await DtddBrowser.storage.sync.get(
+    DtddWarnings.WARNING_SETTING_KEYS,
+  );
+  const { pinnedIds, dealbreakerIds, thresholds } =
+    DtddWarnings.getWarningSettings(storageData);
+  const topicIds = new Set([...pinnedIds, ...dealbreakerIds]);
+
+  const run = DtddFilmLookup.createLookupBatch();
+  historyRun = run;
+  renderHistoryCheck(check);
+
+  let unsavedCount = 0;
+  const lookups = getUncheckedFilms(check).map((film) =>
+    run.lookup(async () => {
+      await checkHistoryFilm(film, topicIds, thresholds);
+      renderHistoryCheck(check);
+      if (++unsavedCount >= HISTORY_SAVE_EVERY) {
+        unsavedCount = 0;
+        await saveHistoryCheck(check);
+      }
+    }),
+  );
+  // After a stop, this waits for the lookups already running
+  await Promise.all(lookups);
+
+  historyRun = null;
+  await saveHistoryCheck(check);
+  renderHistoryCheck(check);
+}
+
+/**
+ * Match a film to DTDD by title and year and note which of the topics are
+ * confirmed for it
+ */
+async function checkHistoryFilm(film, topicIds, thresholds) {
+  try {
+    const media = await DtddFilmLookup.findDtddMediaByTitle(
+      film.name,
+      film.year,
+    );
+    const details = media
+      ? await DtddFilmLookup.fetchMediaDetails(media.id)
+      : null;
+    if (!details?.topicItemStats) {
+      film.status = 'not-found';
+      return;
+    }
+
+    film.status = 'matched';
+    film.mediaId = media.id;
+    film.hits = details.topicItemStats
+      .filter(
+        (t) =>
+          topicIds.has(t.topic?.id) &&
+          DtddWarnings.categorizeWarning(t, thresholds) ===
+            DtddWarnings.WARNING_CATEGORY.YES,
+      )
+      .map((t) => t.topic.id);
+  } catch (err) {
+    console.error('[DTDD] Failed to check film:', film.name, err);
+    film.status = 'error';
+  }
+}
+
+function getHistoryStatusText(check) {
+  const total = check.films.length;
+  const files = check.files.join(', ');
+  const uncheckedCount = getUncheckedFilms(check).length;
+  const failedCount = check.films.filter(
+    (film) => film.status === 'error',
+  ).length;
+  const checkedCount = total - uncheckedCount;
+
+  if (historyRun?.isStopped) return 'Stopping...';
+  if (historyRun) {
+    return `Checking ${files}: ${checkedCount} of ${total} films...`;
+  }
+  if (uncheckedCount > 0) {
+    return `Checked ${checkedCount} of ${total} films from ${files}${failedCount ? `, ${failedCount} failed` : ''}`;
+  }
+
+  const hitCount = check.films.filter((film) => film.hits.length > 0).length;
+  const notFoundCount = check.films.filter(
+    (film) => film.status === 'not-found',
+  ).length;
+  return `Checked ${total} films from ${files}: ${hitCount} with your pinned topics, ${notFoundCount} not found on DTDD`;
+}
+
+function renderHistoryCheck(check) {
+  const historyStatus = document.getElementById('history-status');
+  const historyResults = document.getElementById('history-results');
+  const isRunning = Boolean(historyRun);
+
+  document.getElementById('history-choose').disabled = isRunning;
+  document.getElementById('history-stop').hidden = !isRunning;
+  document.getElementById('history-stop').disabled = Boolean(
+    historyRun?.isStopped,
+  );
+  document.getElementById('history-resume').hidden =
+    isRunning || !check || getUncheckedFilms(check).length === 0;
+  document.getElementById('history-clear').hidden = isRunning || !check;
+
+  if (!check) {
+    historyStatus.textContent = 'No files checked yet';
+    historyResults.innerHTML = '';
+    return;
+  }
+
+  historyStatus.textContent = getHistoryStatusText(check);
+  historyResults.innerHTML = check.films
+    .filter((film) => film.hits.length > 0)
+    .sort(
+      (a, b) => b.hits.length - a.hits.length || a.name.localeCompare(b.name),
+    )
+    .map((film) => {
+      const title = film.year ? `${film.name} (${film.year})` : film.name;
+      const topics = film.hits.map(getTopicName).join(', ');
+      return `
+        <div class="match-item">
+          <div class="match-film">
+            <a href="${DTDD_MEDIA_API}/${film.mediaId}" target="_blank" rel="noopener">${escapeHtml(title)}</a>
+            <span class="match-name">${escapeHtml(topics)} · ${escapeHtml(film.lists.join(', '))}</span>
+          </div>
+        </div>
+      `;
+    })
+    .join('');
+}
@@ -0,0 +1,379 @@
+/**
+ * The background script's request queue, response cache and settings
+ * profiles, with storage from the chrome mock and DTDD behind a stubbed fetch
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadBackgroundScript } = require('./harness');
+
+const DTDD_URL = 'https://www.doesthedogdie.com';
+const CACHE_INDEX_KEY = 'dtdd-cache-index';
+const CACHE_KEY_PREFIX = 'dtdd-cache:';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Stub for fetch that answers with `respond(url, attempt)`, a Response or a
+ * promise of one, or leaves the request hanging until it's aborted when that
+ * returns null
+ * Each request is added to `calls` with the time `now()` gives for it
+ */
+function createFetch(respond, calls, now) {
+  return (url, { signal }) => {
+    const attempt = calls.filter((call) => call.url === url).length;
+    calls.push({ url, at: now() });
+    const response = respond(url, attempt);
+    if (response) return Promise.resolve(response);
+
+    return new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () =>
+        reject(new DOMException('The operation was aborted', 'AbortError')),
+      );
+    });
+  };
+}
+
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), { status, headers });
+}
+
+describe('request queue', () => {
+  let background;
+
+  afterEach(() => background?.close());
+
+  // Load the script with DTDD answered by `respond`, returning its requests
+  function load(respond) {
+    const calls = [];
+    const now = () => background.evaluate('Date.now()');
+    background = loadBackgroundScript({
+      fetch: createFetch(respond, calls, now),
+    });
+    return calls;
+  }
+
+  function fetchDtdd(path) {
+    return background.sendMessage({ name: 'DTDD_FETCH', url: DTDD_URL + path });
+  }
+
+  it('retries a rate-limited request once Retry-After has passed', async () => {
+    const calls = load((url, attempt) =>
+      attempt === 0
+        ? jsonResponse({}, 429, { 'Retry-After': '2' })
+        : jsonResponse({ items: [] }),
+    );
+
+    const response = fetchDtdd('/dddsearch?q=parasite');
+    await background.clock.tick(1999);
+    assert.equal(calls.length, 1);
+    await background.clock.tick(1);
+    assert.equal(calls.length, 2);
+
+    assert.deepEqual(await response, {
+      error: null,
+      errorCode: null,
+      data: { items: [] },
+    });
+  });
+
+  it('backs off on server errors and reports them once retries run out', async () => {
+    const calls = load(() => jsonResponse({}, 503));
+    const maxRetries = background.evaluate('REQUEST_MAX_RETRIES');
+
+    const response = fetchDtdd('/media/10299');
+    await background.clock.tick(0);
+    assert.equal(calls.length, 1);
+    await background.clock.tick(60_000);
+
+    assert.equal(calls.length, maxRetries + 1);
+    // Each wait doubles the one before, give or take up to 50% jitter
+    const waits = calls.slice(1).map((call, i) => call.at - calls[i].at);
+    for (let i = 1; i < waits.length; i++) {
+      assert.ok(waits[i] >= (waits[i - 1] * 2) / 1.5, `waits: ${waits}`);
+    }
+    assert.equal((await response).errorCode, 'server');
+  });
+
+  it('gives up on a request that never answers with the timeout code', async () => {
+    const calls = load(() => null);
+    const timeoutMs = background.evaluate('REQUEST_TIMEOUT_MS');
+    const maxRetries = background.evaluate('REQUEST_MAX_RETRIES');
+
+    const response = fetchDtdd('/media/10299');
+    await background.clock.tick(timeoutMs - 1);
+    assert.equal(calls.length, 1);
+    await background.clock.tick((timeoutMs + 60_000) * maxRetries);
+
+    assert.equal(calls.length, maxRetries + 1);
+    const { errorCode, data } = await response;
+    assert.equal(errorCode, 'timeout');
+    assert.equal(data, null);
+  });
+
+  it('limits requests in flight and spaces them out per host', async () => {
+    // Hold every response until the test answers it
+    const held = [];
+    const calls = load(
+      () =>
+        new Promise((resolve) => held.push(() => resolve(jsonResponse({})))),
+    );
+    const concurrency = background.evaluate('REQUEST_CONCURRENCY');
+    const intervalMs = background.evaluate('REQUEST_MIN_INTERVAL_MS');
+
+    const responses = [1, 2, 3, 4, 5].map((id) => fetchDtdd(`/media/${id}`));
+    await background.clock.tick(intervalMs * 10);
+
+    assert.equal(calls.length, concurrency);
+    assert.deepEqual(
+      calls.map((call) => call.at - calls[0].at),
+      [0, 1, 2, 3].map((slot) => slot * intervalMs),
+    );
+
+    held.shift()();
+    await background.clock.tick(0);
+    assert.equal(calls.length, concurrency + 1);
+
+    for (const answer of held.splice(0)) answer();
+    await background.clock.tick(0);
+    const codes = (await Promise.all(responses)).map((r) => r.errorCode);
+    assert.deepEqual(codes, [null, null, null, null, null]);
+  });
+
+  it('shares one request between identical URLs in flight', async () => {
+    let answer;
+    const calls = load(
+      () =>
+        new Promise((resolve) => {
+          answer = () => resolve(jsonResponse({ item: { id: 10299 } }));
+        }),
+    );
+
+    const responses = [fetchDtdd('/media/10299'), fetchDtdd('/media/10299')];
+    await background.clock.tick(0);
+    answer();
+    await background.clock.tick(0);
+
+    assert.equal(calls.length, 1);
+    for (const response of await Promise.all(responses)) {
+      assert.deepEqual(response.data, { item: { id: 10299 } });
+    }
+  });
+});
+
+describe('response cache', () => {
+  let background;
+
+  afterEach(() => background?.close());
+
+  function load(respond) {
+    const calls = [];
+    const now = () => background.evaluate('Date.now()');
+    background = loadBackgroundScript({
+      fetch: createFetch(respond, calls, now),
+    });
+    return calls;
+  }
+
+  function fetchDtdd(url) {
+    return background.sendMessage({ name: 'DTDD_FETCH', url });
+  }
+
+  /**
+   * Put responses for `urls` in the cache, fetched about `ageMs` ago and
+   * last used a millisecond apart in the order given
+   */
+  function seedCache(urls, ageMs = 0) {
+    const now = background.evaluate('Date.now()');
+    const { items } = background.chrome.storage.local;
+    const index = items[CACHE_INDEX_KEY] ?? {};
+    urls.forEach((url, i) => {
+      const fetchedAt = now - ageMs - urls.length;
+      items[CACHE_KEY_PREFIX + url] = { data: { cached: url }, fetchedAt };
+      index[url] = { fetchedAt, accessedAt: fetchedAt + i, bytes: 100 };
+    });
+    items[CACHE_INDEX_KEY] = index;
+  }
+
+  function getCacheIndex() {
+    return background.chrome.storage.local.items[CACHE_INDEX_KEY];
+  }
+
+  it('answers from a fresh entry without fetching', async () => {
+    const calls = load(() => jsonResponse({ fetched: true }));
+    const url = `${DTDD_URL}/media/10299`;
+    seedCache([url], 60 * 1000);
+
+    const response = await fetchDtdd(url);
+
+    assert.deepEqual(response.data, { cached: url });
+    assert.equal(calls.length, 0);
+  });
+
+  it('answers from a stale entry and refreshes it in the background', async () => {
+    const calls = load(() => jsonResponse({ fetched: true }));
+    const url = `${DTDD_URL}/media/10299`;
+    seedCache([url], 2 * DAY_MS);
+
+    const response = await fetchDtdd(url);
+    assert.deepEqual(response.data, { cached: url });
+
+    await background.clock.tick(0);
+    assert.equal(calls.length, 1);
+    assert.deepEqual(
+      background.chrome.storage.local.items[CACHE_KEY_PREFIX + url].data,
+      { fetched: true },
+    );
+  });
+
+  it('falls back to an expired entry when DTDD is unreachable', async () => {
+    const calls = load(() => Promise.reject(new TypeError('Failed to fetch')));
+    const url = `${DTDD_URL}/media/10299`;
+    seedCache([url], 60 * DAY_MS);
+
+    const response = fetchDtdd(url);
+    await background.clock.tick(60_000);
+
+    assert.equal(calls.length, background.evaluate('REQUEST_MAX_RETRIES') + 1);
+    assert.deepEqual((await response).data, { cached: url });
+  });
+
+  it('evicts the least recently used entries over the entry limit', async () => {
+    load(() => jsonResponse({ fetched: true }));
+    const maxEntries = background.evaluate('CACHE_MAX_ENTRIES');
+    const urls = Array.from(
+      { length: maxEntries },
+      (_, i) => `${DTDD_URL}/media/${i + 1}`,
+    );
+    seedCache(urls);
+
+    // The oldest entry is used again, so the next oldest goes instead
+    await fetchDtdd(urls[0]);
+    const response = fetchDtdd(`${DTDD_URL}/media/99999`);
+    await background.clock.tick(0);
+    await response;
+
+    const index = getCacheIndex();
+    const { items } = background.chrome.storage.local;
+    assert.equal(Object.keys(index).length, maxEntries);
+    assert.ok(urls[0] in index);
+    assert.equal(urls[1] in index, false);
+    assert.equal(CACHE_KEY_PREFIX + urls[1] in items, false);
+    assert.ok(`${DTDD_URL}/media/99999` in index);
+  });
+
+  it('saves the times entries are used together, after a delay', async () => {
+    load(() => jsonResponse({ fetched: true }));
+    const delayMs = background.evaluate('CACHE_ACCESS_SAVE_DELAY_MS');
+    const urls = [`${DTDD_URL}/media/1`, `${DTDD_URL}/media/2`];
+    seedCache(urls);
+    let indexWrites = 0;
+    background.chrome.storage.onChanged.addListener((changes) => {
+      if (CACHE_INDEX_KEY in changes) indexWrites++;
+    });
+
+    await background.clock.tick(1000);
+    const usedAt = background.evaluate('Date.now()');
+    for (const url of [...urls, ...urls]) await fetchDtdd(url);
+    await background.clock.tick(delayMs - 1);
+    assert.equal(indexWrites, 0);
+
+    await background.clock.tick(1);
+    assert.equal(indexWrites, 1);
+    for (const url of urls) {
+      assert.equal(getCacheIndex()[url].accessedAt, usedAt);
+    }
+  });
+
+  it('counts entry sizes in UTF-8 bytes', async () => {
+    const data = { name: 'Amélie', topic: '🐕' };
+    load(() => jsonResponse(data));
+    const url = `${DTDD_URL}/media/10299`;
+
+    const response = fetchDtdd(url);
+    await background.clock.tick(0);
+    await response;
+
+    const entry = background.chrome.storage.local.items[CACHE_KEY_PREFIX + url];
+    const bytes = Buffer.byteLength(
+      CACHE_KEY_PREFIX + url + JSON.stringify(entry),
+    );
+    assert.equal(getCacheIndex()[url].bytes, bytes);
+    assert.ok(bytes > (CACHE_KEY_PREFIX + url + JSON.stringify(entry)).length);
+  });
+});
+
+describe('settings profiles', () => {
+  let background;
+
+  afterEach(() => background?.close());
+
+  function loadWithProfiles() {
+    background = loadBackgroundScript({
+      sync: {
+        'dtdd-pinned-topics': [184],
+        'dtdd-max-warnings': 10,
+        'dtdd-spoiler-safe': true,
+        'dtdd-active-profile': 'default',
+        'dtdd-profiles': {
+          default: { name: 'Default' },
+          kids: { name: 'Kids', settings: { 'dtdd-pinned-topics': [153] } },
+        },
+      },
+    });
+    // Every change notification, as the open panels would get them
+    const changes = [];
+    background.chrome.storage.onChanged.addListener((change, areaName) =>
+      changes.push({ areaName, keys: Object.keys(change) }),
+    );
+    return changes;
+  }
+
+  it('switches every profile setting in one change', async () => {
+    const changes = loadWithProfiles();
+
+    const response = await background.sendMessage({
+      name: 'DTDD_PROFILE',
+      action: 'switch',
+      profileId: 'kids',
+    });
+
+    assert.equal(response.error, null);
+    assert.equal(response.data.activeId, 'kids');
+    assert.equal(changes.length, 1);
+    assert.ok(changes[0].keys.includes('dtdd-active-profile'));
+
+    const { items } = background.chrome.storage.sync;
+    assert.deepEqual(items['dtdd-pinned-topics'], [153]);
+    // Settings the profile never set are given their defaults
+    assert.equal(items['dtdd-max-warnings'], 5);
+    assert.deepEqual(items['dtdd-hidden-topics'], []);
+    // Settings for the whole browser stay as they were
+    assert.equal(items['dtdd-spoiler-safe'], true);
+    assert.deepEqual(items['dtdd-profiles'].default.settings, {
+      'dtdd-pinned-topics': [184],
+      'dtdd-max-warnings': 10,
+    });
+    assert.deepEqual(items['dtdd-profiles'].kids, { name: 'Kids' });
+  });
+
+  it('restores the settings of the profile switched back to', async () => {
+    loadWithProfiles();
+    const switchTo = (profileId) =>
+      background.sendMessage({
+        name: 'DTDD_PROFILE',
+        action: 'switch',
+        profileId,
+      });
+
+    await switchTo('kids');
+    await switchTo('default');
+
+    const { items } = background.chrome.storage.sync;
+    assert.deepEqual(items['dtdd-pinned-topics'], [184]);
+    assert.equal(items['dtdd-max-warnings'], 10);
+    assert.deepEqual(
+      items['dtdd-profiles'].kids.settings['dtdd-pinned-topics'],
+      [153],
+    );
+  });
+});
@@ -0,0 +1,608 @@
+/**
+ * The logic behind the film page panel, loaded the way the content scripts
+ * are: scoring and categorizing warnings (warnings.js), reading film pages
+ * and finding their DTDD titles (film-lookup.js), and building the panel
+ * (content.js)
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadContentScript,
+  readFixture,
+  readJsonFixture,
+} = require('./harness');
+
+/**
+ * Load a saved film page's markup at a non-film URL, so the script doesn't
+ * start loading a panel of its own while the test calls into it
+ */
+function loadFilmMarkup(slug, options = {}) {
+  return loadContentScript({
+    html: readFixture(`letterboxd/film-${slug}.html`),
+    ...options,
+  });
+}
+
+/**
+ * Answer DTDD requests whose URL includes `urlPart` with an error
+ */
+function failDtddFetch(urlPart, errorCode) {
+  return (message) =>
+    message.name === 'DTDD_FETCH' && message.url.includes(urlPart)
+      ? { error: `Failed with ${errorCode}`, errorCode, data: null }
+      : undefined;
+}
+
+function createStat(id, yesSum, noSum, { isSensitive = false } = {}) {
+  return {
+    topic: { id, name: `Topic ${id}`, isSensitive },
+    yesSum,
+    noSum,
+  };
+}
+
+describe('warning scoring, title matching and panel markup', () => {
+  let page;
+  let warnings;
+  let filmLookup;
+  let buildPanelHtml;
+
+  before(() => {
+    page = loadContentScript();
+    warnings = page.evaluate('DtddWarnings');
+    filmLookup = page.evaluate('DtddFilmLookup');
+    ({ buildPanelHtml } = page.exports);
+  });
+
+  after(() => page.close());
+
+  describe('wilsonScore', () => {
+    it('returns a zero interval when there are no votes', () => {
+      assert.deepEqual(
+        { ...warnings.wilsonScore(0, 0) },
+        { lower: 0, upper: 0 },
+      );
+    });
+
+    it('matches the Wilson score interval', () => {
+      const { lower, upper } = warnings.wilsonScore(8, 10, 1.96);
+      assert.ok(Math.abs(lower - 0.4902) < 0.0001);
+      assert.ok(Math.abs(upper - 0.9433) < 0.0001);
+    });
+
+    it('clamps the interval to [0, 1]', () => {
+      assert.equal(warnings.wilsonScore(5, 5, 1.96).upper, 1);
+      assert.equal(warnings.wilsonScore(0, 5, 1.96).lower, 0);
+    });
+
+    it('widens the interval at higher confidence', () => {
+      const narrow = warnings.wilsonScore(8, 10, 1.282);
+      const wide = warnings.wilsonScore(8, 10, 2.576);
+      assert.ok(wide.lower < narrow.lower);
+      assert.ok(wide.upper > narrow.upper);
+    });
+  });
+
+  describe('categorizeWarning', () => {
+    // Category values the panel and its CSS classes are built from
+    const YES = 'yes';
+    const NO = 'no';
+    const MIXED = 'mixed';
+    const UNKNOWN = 'unknown';
+
+    it('uses the category names the panel expects', () => {
+      assert.deepEqual(
+        { ...warnings.WARNING_CATEGORY },
+        { YES, NO, MIXED, UNKNOWN },
+      );
+    });
+
+    it('is unknown below the minimum votes', () => {
+      assert.equal(warnings.categorizeWarning(createStat(1, 2, 0)), UNKNOWN);
+    });
+
+    it('uses the lower minimum for sensitive topics', () => {
+      const stat = createStat(1, 1, 0, { isSensitive: true });
+      assert.equal(warnings.categorizeWarning(stat), YES);
+    });
+
+    it('prefers a per-topic minimum over the global ones', () => {
+      const thresholds = {
+        ...warnings.DEFAULT_THRESHOLDS,
+        topicMinVotes: { 1: 10 },
+      };
+      assert.equal(
+        warnings.categorizeWarning(createStat(1, 9, 0), thresholds),
+        UNKNOWN,
+      );
+      assert.equal(
+        warnings.categorizeWarning(createStat(2, 9, 0), thresholds),
+        YES,
+      );
+    });
+
+    it('is yes or no when the interval clears the threshold', () => {
+      assert.equal(warnings.categorizeWarning(createStat(1, 40, 2)), YES);
+      assert.equal(warnings.categorizeWarning(createStat(1, 1, 25)), NO);
+    });
+
+    it('falls back to the raw majority when uncertain', () => {
+      assert.equal(warnings.categorizeWarning(createStat(1, 3, 2)), YES);
+      assert.equal(warnings.categorizeWarning(createStat(1, 2, 3)), NO);
+    });
+
+    it('is mixed when votes are split evenly', () => {
+      assert.equal(warnings.categorizeWarning(createStat(1, 3, 3)), MIXED);
+    });
+
+    it('applies stored thresholds', () => {
+      const thresholds = warnings.resolveThresholds({
+        'dtdd-thresholds': { minVotes: 20, confidenceThreshold: 0.8 },
+        'dtdd-topic-thresholds': { 5: 1 },
+      });
+      assert.equal(
+        warnings.categorizeWarning(createStat(1, 12, 3), thresholds),
+        UNKNOWN,
+      );
+      assert.equal(
+        warnings.categorizeWarning(createStat(5, 2, 0), thresholds),
+        YES,
+      );
+    });
+  });
+
+  describe('matchDtddResult', () => {
+    const result = readJsonFixture('dtdd/search-q-parasite.json');
+    const movie = {
+      id: 1,
+      name: 'Parasite',
+      releaseYear: '2019',
+      itemType: { name: 'Movie' },
+    };
+
+    it('returns null for empty results', () => {
+      assert.equal(
+        filmLookup.matchDtddResult(null, '1', 'Parasite', '2019'),
+        null,
+      );
+      assert.equal(
+        filmLookup.matchDtddResult({ items: [] }, '1', 'Parasite', '2019'),
+        null,
+      );
+    });
+
+    it('matches by TMDB ID', () => {
+      const item = filmLookup.matchDtddResult(
+        result,
+        '27352',
+        'Anything',
+        '1999',
+      );
+      assert.equal(item.id, 21410);
+    });
+
+    it('skips items with a different TMDB ID', () => {
+      assert.equal(
+        filmLookup.matchDtddResult(result, '496243', 'Parasite', '1982'),
+        null,
+      );
+    });
+
+    it('matches by name and year when TMDB IDs are missing', () => {
+      assert.equal(
+        filmLookup.matchDtddResult(result, null, 'Parasite', '1982').id,
+        21410,
+      );
+      assert.equal(
+        filmLookup.matchDtddResult(
+          { items: [movie] },
+          '496243',
+          'Parasite',
+          2019,
+        ),
+        movie,
+      );
+    });
+
+    it('matches names that include the year', () => {
+      const item = { ...movie, name: 'Parasite 2019' };
+      assert.equal(
+        filmLookup.matchDtddResult({ items: [item] }, null, 'Parasite', '2019'),
+        item,
+      );
+    });
+
+    it('only matches the expected media type', () => {
+      const show = { ...movie, itemType: { name: 'TV Show' } };
+      assert.equal(
+        filmLookup.matchDtddResult({ items: [show] }, null, 'Parasite', '2019'),
+        null,
+      );
+      assert.equal(
+        filmLookup.matchDtddResult(
+          { items: [show] },
+          null,
+          'Parasite',
+          '2019',
+          true,
+        ),
+        show,
+      );
+    });
+  });
+
+  describe('buildPanelHtml', () => {
+    const topics = readJsonFixture('dtdd/media-10299.json').topicItemStats;
+    const data = { mediaId: 10299, isManual: false, topics };
+
+    function render(settings = {}) {
+      const container = page.document.createElement('div');
+      container.innerHTML = buildPanelHtml('loaded', data, settings);
+      return container;
+    }
+
+    function getRowNames(container, selector = '.dtdd-warning-list > li') {
+      return [...container.querySelectorAll(selector)].map(
+        (row) => row.dataset.name,
+      );
+    }
+
+    it('lists confirmed warnings, sensitive topics first', () => {
+      assert.deepEqual(getRowNames(render()), [
+        'a pregnancy is lost',
+        'a dog dies',
+        'an animal is sad',
+        'someone vomits',
+      ]);
+    });
+
+    it('limits warnings to the maximum', () => {
+      assert.deepEqual(getRowNames(render({ maxWarnings: 2 })), [
+        'a pregnancy is lost',
+        'a dog dies',
+      ]);
+    });
+
+    it('lists pinned and dealbreaker topics first, whatever their votes', () => {
+      const container = render({
+        pinnedIds: new Set([177]),
+        dealbreakerIds: new Set([320]),
+        maxWarnings: 1,
+      });
+      assert.deepEqual(getRowNames(container), [
+        'someone is sexually assaulted',
+        'there are spiders',
+        'a pregnancy is lost',
+      ]);
+      assert.ok(
+        container
+          .querySelector('[data-name="someone is sexually assaulted"]')
+          .classList.contains('dtdd-dealbreaker'),
+      );
+      assert.ok(
+        container
+          .querySelector('[data-name="there are spiders"]')
+          .classList.contains('dtdd-status-unknown'),
+      );
+    });
+
+    it('leaves out hidden topics', () => {
+      const container = render({ hiddenIds: new Set([153, 240]) });
+      assert.deepEqual(getRowNames(container), [
+        'an animal is sad',
+        'someone vomits',
+      ]);
+    });
+
+    it('only shows a count when spoiler-safe', () => {
+      const container = render({ isRedacted: true });
+      assert.equal(
+        container.querySelectorAll('.dtdd-warning-list > li').length,
+        1,
+      );
+      assert.equal(
+        container.querySelector('.dtdd-redacted').textContent,
+        '4 other warnings',
+      );
+    });
+
+    it('links the header to the DTDD page', () => {
+      assert.equal(
+        render().querySelector('.dtdd-header a').href,
+        'https://www.doesthedogdie.com/media/10299',
+      );
+    });
+
+    it('explains errors by code', () => {
+      const container = page.document.createElement('div');
+      container.innerHTML = buildPanelHtml('error', { errorCode: 'auth' });
+      assert.match(
+        container.querySelector('.dtdd-error').textContent,
+        /API key was rejected/,
+      );
+    });
+  });
+});
+
+describe('film page scraping', () => {
+  let page;
+  let scrapeFilm;
+
+  before(() => {
+    page = loadFilmMarkup('parasite-2019');
+    ({ scrapeFilm } = page.evaluate('DtddFilmLookup'));
+  });
+
+  after(() => page.close());
+
+  function parse(html) {
+    return new page.window.DOMParser().parseFromString(html, 'text/html');
+  }
+
+  it('reads a saved film page from its markup', () => {
+    const scraped = scrapeFilm(page.document, 'parasite-2019');
+    assert.deepEqual(
+      { ...scraped.ids },
+      { imdbId: 'tt6751668', tmdbId: '496243', isTv: false },
+    );
+    assert.deepEqual(
+      { ...scraped.filmInfo },
+      { title: 'Parasite', year: '2019', nativeTitle: '기생충' },
+    );
+    assert.ok(
+      Object.values(scraped.sources).every((source) => source === 'markup'),
+    );
+    assert.equal(scraped.isUnreadable, false);
+  });
+
+  it('finds IMDb and TMDB links whatever their text', () => {
+    const scraped = scrapeFilm(
+      parse(`
+        <a href="https://www.imdb.com/title/tt0822832/">IMDb ↗</a>
+        <a href="https://www.themoviedb.org/tv/1399/">The Movie Database</a>
+      `),
+      'marley-me',
+    );
+    assert.deepEqual(
+      { ...scraped.ids },
+      { imdbId: 'tt0822832', tmdbId: '1399', isTv: true },
+    );
+    assert.equal(scraped.sources.imdbId, 'links');
+  });
+
+  it('falls back to data attributes', () => {
+    const scraped = scrapeFilm(
+      parse(`
+        <body data-tmdb-id="14306" data-tmdb-type="movie">
+          <div data-film-slug="hachi-a-dogs-tale" data-film-name="Hachi: A Dog's Tale"></div>
+          <div data-film-slug="marley-me" data-film-name="Marley &amp; Me" data-film-release-year="2008"></div>
+        </body>
+      `),
+      'marley-me',
+    );
+    assert.equal(scraped.ids.tmdbId, '14306');
+    assert.equal(scraped.filmInfo.title, 'Marley & Me');
+    assert.equal(scraped.filmInfo.year, '2008');
+    assert.equal(scraped.sources.title, 'data-attributes');
+  });
+
+  it('falls back to JSON-LD', () => {
+    const scraped = scrapeFilm(
+      parse(`
+        <script type="application/ld+json">
+          /* <![CDATA[ */
+          {"@type":"Movie","name":"Marley & Me","releasedEvent":[{"startDate":"2008"}],"sameAs":["https://www.imdb.com/title/tt0822832/"]}
+          /* ]]> */
+        </script>
+      `),
+      'marley-me',
+    );
+    assert.equal(scraped.ids.imdbId, 'tt0822832');
+    assert.equal(scraped.filmInfo.title, 'Marley & Me');
+    assert.equal(scraped.filmInfo.year, '2008');
+    assert.equal(scraped.sources.title, 'json-ld');
+  });
+
+  it('falls back to Open Graph tags', () => {
+    const scraped = scrapeFilm(
+      parse('<meta property="og:title" content="Marley &amp; Me (2008)">'),
+      'marley-me',
+    );
+    assert.deepEqual(
+      { ...scraped.filmInfo },
+      { title: 'Marley & Me', year: '2008', nativeTitle: null },
+    );
+    assert.equal(scraped.sources.title, 'meta-tags');
+    assert.equal(scraped.isUnreadable, false);
+  });
+
+  it("is unreadable when only the URL's slug is left", () => {
+    const scraped = scrapeFilm(parse('<p>Nothing here</p>'), 'parasite-2019');
+    assert.equal(scraped.filmInfo.title, 'parasite');
+    assert.equal(scraped.filmInfo.year, '2019');
+    assert.equal(scraped.sources.title, 'url-slug');
+    assert.equal(scraped.isUnreadable, true);
+  });
+});
+
+describe('findDtddMedia', () => {
+  async function findMedia(slug, options) {
+    const page = loadFilmMarkup(slug, options);
+    try {
+      const { document, chrome } = page;
+      const { scrapeFilm, findDtddMedia } = page.evaluate('DtddFilmLookup');
+      const { ids, filmInfo } = scrapeFilm(document, slug);
+      const media = await findDtddMedia(ids, filmInfo).catch((err) => ({
+        errorCode: err.code,
+      }));
+      const urls = chrome.messages
+        .filter((message) => message.name === 'DTDD_FETCH')
+        .map((message) => decodeURIComponent(message.url));
+      return { media, urls };
+    } finally {
+      await page.close();
+    }
+  }
+
+  it('finds films by IMDb ID', async () => {
+    const { media, urls } = await findMedia('marley-me');
+    assert.equal(media.id, 10299);
+    assert.deepEqual(urls, [
+      'https://www.doesthedogdie.com/dddsearch?imdb=tt0822832',
+    ]);
+  });
+
+  it('falls back to the title, then the original title', async () => {
+    const { media, urls } = await findMedia('parasite-2019');
+    assert.equal(media.id, 440906);
+    assert.deepEqual(urls, [
+      'https://www.doesthedogdie.com/dddsearch?imdb=tt6751668',
+      'https://www.doesthedogdie.com/dddsearch?q=Parasite',
+      'https://www.doesthedogdie.com/dddsearch?q=기생충',
+    ]);
+  });
+
+  it('falls through a failed search to the next one', async () => {
+    const { media, urls } = await findMedia('parasite-2019', {
+      onMessage: failDtddFetch('?imdb=', 'server'),
+    });
+    assert.equal(media.id, 440906);
+    assert.equal(urls.length, 3);
+  });
+
+  it('fails when every search fails', async () => {
+    const { media, urls } = await findMedia('parasite-2019', {
+      onMessage: failDtddFetch('/dddsearch', 'timeout'),
+    });
+    assert.deepEqual(media, { errorCode: 'timeout' });
+    assert.equal(urls.length, 3);
+  });
+
+  it('stops at a rejected API key', async () => {
+    const { media, urls } = await findMedia('parasite-2019', {
+      onMessage: failDtddFetch('/dddsearch', 'auth'),
+    });
+    assert.deepEqual(media, { errorCode: 'auth' });
+    assert.equal(urls.length, 1);
+  });
+});
+
+describe('findDtddCandidates', () => {
+  it('keeps the results of the searches that worked', async () => {
+    const page = loadFilmMarkup('parasite-2019', {
+      onMessage: failDtddFetch('?imdb=', 'server'),
+    });
+    try {
+      const { scrapeFilm, findDtddCandidates } =
+        page.evaluate('DtddFilmLookup');
+      const { ids, filmInfo } = scrapeFilm(page.document, 'parasite-2019');
+      const candidates = await findDtddCandidates(ids, filmInfo);
+      assert.deepEqual(
+        structuredClone(candidates.map((item) => item.id)),
+        [21410, 38842, 440906],
+      );
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+describe('createLookupBatch', () => {
+  it('drops queued lookups on stop and waits for running ones', async () => {
+    const page = loadContentScript();
+    try {
+      const batch = page.evaluate('DtddFilmLookup').createLookupBatch();
+      const started = [];
+      let finishRunning;
+      const running = new Promise((resolve) => {
+        finishRunning = resolve;
+      });
+      const lookups = [1, 2, 3, 4].map((id) =>
+        batch.lookup(async () => {
+          started.push(id);
+          await running;
+          return id;
+        }),
+      );
+      await new Promise((resolve) => setTimeout(resolve));
+
+      batch.stop();
+      let isSettled = false;
+      const all = Promise.all(lookups).then((results) => {
+        isSettled = true;
+        return results;
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      assert.equal(isSettled, false);
+
+      finishRunning();
+      assert.deepEqual(await all, [1, 2, undefined, undefined]);
+      assert.deepEqual(started, [1, 2]);
+      assert.equal(await batch.lookup(async () => 5), undefined);
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+describe('saveMediaMapping', () => {
+  it('keeps saving after a write fails', async () => {
+    const page = loadContentScript();
+    try {
+      const { saveMediaMapping } = page.evaluate('DtddFilmLookup');
+      const { local } = page.chrome.storage;
+      const { set } = local;
+      local.set = () => Promise.reject(new Error('QUOTA_BYTES exceeded'));
+      await assert.rejects(
+        saveMediaMapping('a', { id: 1, name: 'A' }, false),
+        /QUOTA_BYTES/,
+      );
+
+      local.set = set;
+      await saveMediaMapping('b', { id: 2, name: 'B' }, false);
+      assert.deepEqual(local.items['dtdd-media-map'], {
+        b: { mediaId: 2, name: 'B', releaseYear: null, isManual: false },
+      });
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+describe('findDtddMediaByTitle', () => {
+  it('matches a title only in its release year', async () => {
+    const page = loadContentScript({
+      url: 'https://letterboxd.com/someone/watchlist/',
+      html: readFixture('letterboxd/list-page.html'),
+    });
+    try {
+      const { findDtddMediaByTitle } = page.evaluate('DtddFilmLookup');
+      const media = await findDtddMediaByTitle('Parasite', '1982');
+      assert.equal(media.id, 21410);
+      assert.equal(await findDtddMediaByTitle('Parasite', '2019'), null);
+    } finally {
+      await page.close();
+    }
+  });
+});
+
+describe('readPosterFilms', () => {
+  it('lists each film in a poster grid once, in page order', async () => {
+    const page = loadContentScript({
+      url: 'https://letterboxd.com/someone/watchlist/',
+      html: readFixture('letterboxd/list-page.html'),
+    });
+    try {
+      const films = page
+        .evaluate('DtddFilmLookup')
+        .readPosterFilms(page.document);
+      assert.deepEqual(structuredClone(films), [
+        { slug: 'parasite-2019', title: 'Parasite', year: '2019' },
+        { slug: 'marley-me', title: 'Marley & Me', year: '2008' },
+      ]);
+    } finally {
+      await page.close();
+    }
+  });
+});
@@ -0,0 +1,300 @@
+/**
+ * The content script end to end on saved Letterboxd film pages, with DTDD
+ * answered from fixtures
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  loadContentScript,
+  loadFilmPage,
+  readFixture,
+  waitForSelector,
+} = require('./harness');
+
+const LOADED_PANEL = '#dtdd-panel .dtdd-panel-footer';
+
+function getWarningNames(document) {
+  return [
+    ...document.querySelectorAll('#dtdd-panel .dtdd-warning-list > li'),
+  ].map((row) => row.dataset.name);
+}
+
+function getFetchedUrls(chrome) {
+  return chrome.messages
+    .filter((message) => message.name === 'DTDD_FETCH')
+    .map((message) => decodeURIComponent(message.url));
+}
+
+describe('film page panel', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  it('adds the warnings panel to the sidebar', async () => {
+    page = loadFilmPage('marley-me');
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    assert.ok(page.document.querySelector('aside.sidebar > #dtdd-panel'));
+    assert.deepEqual(getWarningNames(page.document), [
+      'a pregnancy is lost',
+      'a dog dies',
+      'an animal is sad',
+      'someone vomits',
+    ]);
+    assert.equal(
+      page.document.querySelector('#dtdd-panel .dtdd-yes-count').textContent,
+      '18',
+    );
+  });
+
+  it('remembers the matched DTDD title', async () => {
+    page = loadFilmPage('parasite-2019');
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    assert.deepEqual(page.chrome.storage.local.items['dtdd-media-map'], {
+      'parasite-2019': {
+        mediaId: 440906,
+        name: 'Parasite',
+        releaseYear: '2019',
+        isManual: false,
+      },
+    });
+  });
+
+  it('uses a saved match without searching DTDD', async () => {
+    page = loadFilmPage('parasite-2019', {
+      local: {
+        'dtdd-media-map': {
+          'parasite-2019': {
+            mediaId: 440906,
+            name: 'Parasite',
+            isManual: true,
+          },
+        },
+      },
+    });
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    assert.deepEqual(getFetchedUrls(page.chrome), [
+      'https://www.doesthedogdie.com/media/440906',
+    ]);
+    assert.deepEqual(getWarningNames(page.document), [
+      'someone is stabbed',
+      "there's blood or gore",
+    ]);
+    assert.match(
+      page.document.querySelector('#dtdd-panel [data-action="open-picker"]')
+        .textContent,
+      /Matched manually/,
+    );
+  });
+
+  it('applies stored settings', async () => {
+    page = loadFilmPage('marley-me', {
+      sync: {
+        'dtdd-pinned-topics': [177],
+        'dtdd-hidden-topics': [186],
+        'dtdd-max-warnings': 2,
+      },
+    });
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    assert.deepEqual(getWarningNames(page.document), [
+      'there are spiders',
+      'a pregnancy is lost',
+      'a dog dies',
+    ]);
+  });
+
+  it('re-renders when settings change', async () => {
+    page = loadFilmPage('marley-me');
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    await page.chrome.storage.sync.set({ 'dtdd-pinned-topics': [172] });
+    await waitForSelector(
+      page.document,
+      '#dtdd-panel [data-name="there are jump scares"]',
+    );
+  });
+
+  it('closes the full list when spoiler-safe mode is switched on', async () => {
+    page = loadFilmPage('marley-me');
+    await waitForSelector(page.document, LOADED_PANEL);
+    page.document
+      .querySelector('#dtdd-panel [data-action="toggle-all"]')
+      .click();
+    await waitForSelector(page.document, '#dtdd-panel .dtdd-all-warnings');
+
+    await page.chrome.storage.sync.set({ 'dtdd-spoiler-safe': true });
+    await waitForSelector(page.document, '#dtdd-panel .dtdd-redacted');
+    assert.equal(
+      page.document.querySelector('#dtdd-panel .dtdd-all-warnings'),
+      null,
+    );
+  });
+
+  it('shows a banner for confirmed dealbreakers', async () => {
+    page = loadFilmPage('marley-me', {
+      sync: { 'dtdd-dealbreaker-topics': [153, 172] },
+    });
+    const banner = await waitForSelector(
+      page.document,
+      '#dtdd-dealbreaker-banner',
+    );
+
+    assert.match(banner.textContent, /a dog dies/);
+    assert.doesNotMatch(banner.textContent, /jump scares/);
+  });
+
+  it('reports when DTDD is unreachable', async () => {
+    page = loadFilmPage('marley-me', {
+      onMessage: (message) =>
+        message.name === 'DTDD_FETCH'
+          ? { error: 'Failed to fetch', errorCode: 'network', data: null }
+          : undefined,
+    });
+    const error = await waitForSelector(
+      page.document,
+      '#dtdd-panel .dtdd-error',
+    );
+
+    assert.equal(error.textContent, "Couldn't reach Does The Dog Die");
+  });
+
+  it('offers the manual picker when DTDD has no match', async () => {
+    page = loadFilmPage('marley-me', {
+      onMessage: (message) =>
+        message.name === 'DTDD_FETCH' && message.url.includes('/dddsearch')
+          ? { error: null, errorCode: null, data: { items: [] } }
+          : undefined,
+    });
+    await waitForSelector(page.document, '#dtdd-panel .dtdd-not-found');
+
+    assert.ok(
+      page.document.querySelector('#dtdd-panel [data-action="open-picker"]'),
+    );
+  });
+
+  it('falls back when the markup changes, and records the problem', async () => {
+    // Footer buttons and header classes renamed
+    const html = readFixture('letterboxd/film-marley-me.html')
+      .replaceAll('micro-button', 'external-link')
+      .replace('headline-1', 'title-1');
+    page = loadContentScript({
+      url: 'https://letterboxd.com/film/marley-me/',
+      html,
+    });
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    assert.equal(getWarningNames(page.document).length, 4);
+    await page.whenIdle();
+    const [problem] = page.chrome.storage.local.items['dtdd-scrape-problems'];
+    assert.equal(problem.slug, 'marley-me');
+    assert.deepEqual(problem.missing, ['title', 'tmdbId']);
+    assert.equal(problem.sources.title, 'json-ld');
+    assert.equal(problem.sources.tmdbId, 'links');
+    assert.equal(problem.isUnreadable, false);
+  });
+
+  it('summarizes the warnings for the toolbar popup', async () => {
+    page = loadFilmPage('marley-me', {
+      sync: { 'dtdd-dealbreaker-topics': [153] },
+    });
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    const summary = await page.chrome.dispatchMessage({
+      name: 'DTDD_PANEL_SUMMARY',
+    });
+    assert.equal(summary.state, 'loaded');
+    assert.equal(summary.dtddUrl, 'https://www.doesthedogdie.com/media/10299');
+    assert.deepEqual(
+      summary.pinned.map((t) => [t.name, t.isDealbreaker]),
+      [['a dog dies', true]],
+    );
+    assert.deepEqual(
+      summary.warnings.map((t) => t.name),
+      ['a pregnancy is lost', 'an animal is sad', 'someone vomits'],
+    );
+  });
+
+  it('only counts unrevealed warnings for the popup', async () => {
+    page = loadFilmPage('marley-me', { sync: { 'dtdd-spoiler-safe': true } });
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    const summary = await page.chrome.dispatchMessage({
+      name: 'DTDD_PANEL_SUMMARY',
+    });
+    assert.deepEqual(summary.warnings, []);
+    assert.equal(summary.redactedCount, 4);
+  });
+
+  it('reports each state to the background for the toolbar badge', async () => {
+    page = loadFilmPage('marley-me', { sync: { 'dtdd-pinned-topics': [153] } });
+    await waitForSelector(page.document, LOADED_PANEL);
+    await page.whenIdle();
+
+    const summaries = page.chrome.messages
+      .filter((message) => message.name === 'DTDD_TAB_SUMMARY')
+      .map((message) => message.summary);
+    assert.deepEqual(
+      summaries.map((summary) => summary.state),
+      ['loading', 'loaded'],
+    );
+    assert.deepEqual(
+      summaries[1].pinned.map((t) => [t.name, t.category]),
+      [['a dog dies', 'yes']],
+    );
+  });
+
+  it("tells the popup when it isn't on a film page", async () => {
+    page = loadContentScript();
+
+    const summary = await page.chrome.dispatchMessage({
+      name: 'DTDD_PANEL_SUMMARY',
+    });
+    assert.deepEqual(summary, { state: 'none' });
+  });
+
+  it("says when it couldn't read the page", async () => {
+    page = loadContentScript({
+      url: 'https://letterboxd.com/film/marley-me/',
+      html: '<!DOCTYPE html><html><body><aside class="sidebar"></aside></body></html>',
+    });
+    await waitForSelector(page.document, '#dtdd-panel .dtdd-unreadable');
+
+    assert.deepEqual(getFetchedUrls(page.chrome), []);
+    await page.whenIdle();
+    const [problem] = page.chrome.storage.local.items['dtdd-scrape-problems'];
+    assert.equal(problem.isUnreadable, true);
+  });
+
+  it('waits for a soft navigation to update the sidebar in place', async () => {
+    page = loadFilmPage('marley-me');
+    await waitForSelector(page.document, LOADED_PANEL);
+    page.chrome.messages.length = 0;
+
+    // The URL changes first; the previous film's content is still shown
+    page.window.history.pushState({}, '', '/film/parasite-2019/');
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    assert.equal(page.document.getElementById('dtdd-panel'), null);
+    assert.deepEqual(getFetchedUrls(page.chrome), []);
+
+    // Letterboxd then re-renders the same nodes with the new film
+    const next = new page.window.DOMParser().parseFromString(
+      readFixture('letterboxd/film-parasite-2019.html'),
+      'text/html',
+    );
+    for (const selector of ['head', '.col-17', 'aside.sidebar', '.text-link']) {
+      page.document.querySelector(selector).innerHTML =
+        next.querySelector(selector).innerHTML;
+    }
+    Object.assign(page.document.body.dataset, next.body.dataset);
+    await waitForSelector(page.document, LOADED_PANEL);
+
+    assert.deepEqual(getWarningNames(page.document), [
+      'someone is stabbed',
+      "there's blood or gore",
+    ]);
+  });
+});
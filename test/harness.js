@@ -0,0 +1,457 @@
+/**
+ * Letterboxd DTDD Integration - Test Harness
+ * Loads the content script or an extension page into jsdom with a mocked
+ * extension API that answers DTDD requests from the fixtures directory, or
+ * the background script with a stubbed fetch and a clock the test moves
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Loaded in the same order as the manifest's content_scripts list
+const CONTENT_SCRIPTS = [
+  'browser-api.js',
+  'settings-schema.js',
+  'warnings.js',
+  'film-lookup.js',
+  'content.js',
+];
+
+const DTDD_API_URL = 'https://www.doesthedogdie.com';
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+}
+
+function readJsonFixture(name) {
+  return JSON.parse(readFixture(name));
+}
+
+/**
+ * Fixture file for a DTDD API URL, or null if it isn't an API with fixtures
+ *   /dddsearch?imdb=tt123   → dtdd/search-imdb-tt123.json
+ *   /dddsearch?q=Some Title → dtdd/search-q-some-title.json
+ *   /media/123              → dtdd/media-123.json
+ */
+function getDtddFixtureName(url) {
+  const { pathname, searchParams } = new URL(url);
+  if (pathname === '/dddsearch' && searchParams.has('imdb')) {
+    return `dtdd/search-imdb-${searchParams.get('imdb')}.json`;
+  }
+  if (pathname === '/dddsearch' && searchParams.has('q')) {
+    const query = searchParams
+      .get('q')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .replace(/^-|-$/g, '');
+    return `dtdd/search-q-${query}.json`;
+  }
+  const mediaMatch = pathname.match(/^\/media\/(\d+)$/);
+  if (mediaMatch) return `dtdd/media-${mediaMatch[1]}.json`;
+  return null;
+}
+
+/**
+ * Answer a DTDD_FETCH the way the background script does, from fixtures
+ * A missing fixture is reported as a network error, so the test shows it
+ */
+function fetchDtddFixture(url) {
+  const name = url.startsWith(DTDD_API_URL) ? getDtddFixtureName(url) : null;
+  if (!name || !fs.existsSync(path.join(FIXTURES_DIR, name))) {
+    return {
+      error: `No fixture for ${url}`,
+      errorCode: 'network',
+      data: null,
+    };
+  }
+  return { error: null, errorCode: null, data: readJsonFixture(name) };
+}
+
+/**
+ * In-memory chrome.storage area that reports changes like the real one
+ */
+function createStorageArea(areaName, initial, listeners, activity) {
+  const items = structuredClone(initial);
+
+  function notify(changes) {
+    if (Object.keys(changes).length === 0) return;
+    for (const listener of listeners) listener(changes, areaName);
+  }
+
+  function get(keys = null) {
+    const names =
+      keys === null
+        ? Object.keys(items)
+        : typeof keys === 'string'
+          ? [keys]
+          : keys;
+    return Object.fromEntries(
+      names
+        .filter((key) => key in items)
+        .map((key) => [key, structuredClone(items[key])]),
+    );
+  }
+
+  function set(values) {
+    const changes = {};
+    for (const [key, value] of Object.entries(values)) {
+      changes[key] = { oldValue: items[key], newValue: value };
+      items[key] = structuredClone(value);
+    }
+    notify(changes);
+  }
+
+  function remove(keys) {
+    const changes = {};
+    for (const key of [].concat(keys)) {
+      if (!(key in items)) continue;
+      changes[key] = { oldValue: items[key] };
+      delete items[key];
+    }
+    notify(changes);
+  }
+
+  return {
+    items,
+    get: (keys) => activity.track(() => get(keys)),
+    set: (values) => activity.track(() => set(values)),
+    remove: (keys) => activity.track(() => remove(keys)),
+  };
+}
+
+/**
+ * Mock of the `chrome` APIs the content script uses
+ * `onMessage` answers runtime messages; by default DTDD_FETCH is served from
+ * fixtures and everything else gets an empty response
+ */
+function createChromeMock(
+  { sync = {}, local = {}, onMessage = null } = {},
+  activity,
+) {
+  const changeListeners = [];
+  const messageListeners = [];
+  const messages = [];
+
+  function handleMessage(message) {
+    messages.push(message);
+    const response = onMessage?.(message);
+    if (response !== undefined) return response;
+    if (message.name === 'DTDD_FETCH') return fetchDtddFixture(message.url);
+    return { error: null };
+  }
+
+  // Deliver a message to the script's listeners, as from the toolbar popup
+  // The response is cloned the way extension messages are serialized
+  function dispatchMessage(message) {
+    return activity.track(
+      () =>
+        new Promise((resolve) => {
+          const sendResponse = (response) => resolve(structuredClone(response));
+          for (const listener of messageListeners) {
+            listener(message, {}, sendResponse);
+          }
+        }),
+    );
+  }
+
+  return {
+    messages,
+    dispatchMessage,
+    runtime: {
+      lastError: null,
+      sendMessage(message, callback) {
+        activity
+          .track(() => handleMessage(message))
+          .then((response) => callback?.(response));
+      },
+      onMessage: {
+        addListener(listener) {
+          messageListeners.push(listener);
+        },
+      },
+    },
+    // The toolbar popup asks for the current tab; there's none to find
+    tabs: {
+      query: () => activity.track(() => []),
+    },
+    storage: {
+      sync: createStorageArea('sync', sync, changeListeners, activity),
+      local: createStorageArea('local', local, changeListeners, activity),
+      onChanged: {
+        addListener(listener) {
+          changeListeners.push(listener);
+        },
+      },
+    },
+  };
+}
+
+/**
+ * Counts extension API calls in flight, so a page isn't closed while the
+ * content script is still working
+ */
+function createActivityTracker() {
+  let pending = 0;
+
+  return {
+    // Run `fn` asynchronously, like the real APIs, counting it until it settles
+    track(fn) {
+      pending++;
+      return new Promise((resolve) => setTimeout(resolve))
+        .then(fn)
+        .finally(() => pending--);
+    },
+    // Resolves once nothing has been in flight for a few turns of the event
+    // loop, so work started from a response gets to make its next call
+    async whenIdle() {
+      for (let idleTurns = 0; idleTurns < 3;) {
+        await new Promise((resolve) => setTimeout(resolve));
+        idleTurns = pending === 0 ? idleTurns + 1 : 0;
+      }
+    },
+  };
+}
+
+/**
+ * Load scripts into a jsdom page with the chrome mock, like the extension
+ * loads them into a tab or one of its own pages
+ */
+function loadScripts(
+  scripts,
+  {
+    url = 'https://letterboxd.com/',
+    html = '<!DOCTYPE html><html><body></body></html>',
+    ...chromeOptions
+  } = {},
+) {
+  const dom = new JSDOM(html, {
+    url,
+    runScripts: 'outside-only',
+    // The scripts log every step; keep test output readable
+    virtualConsole: new VirtualConsole(),
+  });
+  const { window } = dom;
+  const activity = createActivityTracker();
+  const chrome = createChromeMock(chromeOptions, activity);
+
+  // jsdom only has animation frames with `pretendToBeVisual`, and those keep
+  // firing after the window closes; window timers are stopped with it
+  window.requestAnimationFrame = (callback) =>
+    window.setTimeout(() => callback(window.performance.now()), 16);
+  window.chrome = chrome;
+  window.DtddTestExports = {};
+  // Run as scripts rather than eval, so their top-level consts are shared
+  // globals like they are between content scripts
+  const context = dom.getInternalVMContext();
+  for (const script of scripts) {
+    const filename = path.join(ROOT_DIR, script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(
+      context,
+    );
+  }
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    exports: window.DtddTestExports,
+    whenIdle: () => activity.whenIdle(),
+    // Evaluate in the page, where the shared scripts' globals are in scope
+    evaluate: (expression) => vm.runInContext(expression, context),
+    async close() {
+      await activity.whenIdle();
+      window.close();
+    },
+  };
+}
+
+/**
+ * Load the content script into a page
+ * Returns the jsdom window, the chrome mock and the script's test exports.
+ * `whenIdle()` waits for the script's extension API calls to finish; call
+ * `close()` when done, which also waits for them before closing the page
+ */
+function loadContentScript(options = {}) {
+  return loadScripts(CONTENT_SCRIPTS, options);
+}
+
+/**
+ * Load one of the extension's own pages, such as settings.html, with the
+ * scripts it lists, in order
+ */
+function loadExtensionPage(name, options = {}) {
+  const html = fs.readFileSync(path.join(ROOT_DIR, name), 'utf8');
+  const scripts = [...html.matchAll(/<script src="([^"]+)"><\/script>/g)].map(
+    (match) => match[1],
+  );
+  return loadScripts(scripts, {
+    url: `chrome-extension://dtdd/${name}`,
+    html,
+    ...options,
+  });
+}
+
+/**
+ * Load a saved Letterboxd film page from fixtures/letterboxd
+ */
+function loadFilmPage(slug, options = {}) {
+  return loadContentScript({
+    url: `https://letterboxd.com/film/${slug}/`,
+    html: readFixture(`letterboxd/film-${slug}.html`),
+    ...options,
+  });
+}
+
+/**
+ * Timers and Date.now() for the background script, moved on by `tick()`
+ * rather than real time, so backoff and timeouts don't slow the tests
+ */
+function createClock(activity) {
+  let now = Date.parse('2026-10-01T00:00:00Z');
+  let nextId = 1;
+  const timers = new Map();
+
+  class ClockDate extends Date {
+    constructor(...args) {
+      super(...(args.length > 0 ? args : [now]));
+    }
+
+    static now() {
+      return now;
+    }
+  }
+
+  return {
+    Date: ClockDate,
+    setTimeout(callback, delay = 0, ...args) {
+      const id = nextId++;
+      timers.set(id, { at: now + Math.max(0, delay), callback, args });
+      return id;
+    },
+    clearTimeout(id) {
+      timers.delete(id);
+    },
+    // Move the clock on by `ms`, running timers as they come due and letting
+    // the work they start settle in between
+    async tick(ms = 0) {
+      const end = now + ms;
+      for (;;) {
+        await activity.whenIdle();
+        const [id, timer] = [...timers].reduce(
+          (earliest, entry) =>
+            !earliest || entry[1].at < earliest[1].at ? entry : earliest,
+          null,
+        ) ?? [null, null];
+        if (!timer || timer.at > end) break;
+
+        timers.delete(id);
+        now = timer.at;
+        timer.callback(...timer.args);
+      }
+      now = end;
+      await activity.whenIdle();
+    },
+    clear() {
+      timers.clear();
+    },
+  };
+}
+
+/**
+ * Load the background script the way Chrome runs it, as a service worker
+ * that imports the shared scripts
+ * `fetch` stands in for the network. Returns the chrome mock, the clock,
+ * `sendMessage()` to message the script like a tab would, and `evaluate()`;
+ * nothing runs on its own, so move the clock with `clock.tick()`
+ */
+function loadBackgroundScript({ fetch, ...chromeOptions } = {}) {
+  const activity = createActivityTracker();
+  const chrome = createChromeMock(chromeOptions, activity);
+  const clock = createClock(activity);
+  const messageListeners = [];
+
+  // Messages are answered through the clock, so aren't counted as activity
+  chrome.runtime.onMessage = {
+    addListener: (listener) => messageListeners.push(listener),
+  };
+  chrome.runtime.onInstalled = { addListener() {} };
+  chrome.tabs.onUpdated = { addListener() {} };
+  chrome.action = {
+    setBadgeText() {},
+    setBadgeBackgroundColor() {},
+    setTitle() {},
+  };
+
+  const context = vm.createContext({
+    chrome,
+    fetch,
+    Date: clock.Date,
+    setTimeout: clock.setTimeout,
+    clearTimeout: clock.clearTimeout,
+    URL,
+    AbortController,
+    TextEncoder,
+    // The script logs every retry; keep test output readable
+    console: { log() {}, debug() {}, info() {}, warn() {}, error() {} },
+    importScripts(...scripts) {
+      for (const script of scripts) runScript(script);
+    },
+  });
+
+  function runScript(script) {
+    const filename = path.join(ROOT_DIR, script);
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename }).runInContext(
+      context,
+    );
+  }
+
+  runScript('background.js');
+
+  return {
+    chrome,
+    clock,
+    evaluate: (expression) => vm.runInContext(expression, context),
+    // Resolves with the response, cloned the way extension messages are
+    sendMessage: (message, sender = {}) =>
+      new Promise((resolve) => {
+        for (const listener of messageListeners) {
+          listener(message, sender, (response) =>
+            resolve(structuredClone(response)),
+          );
+        }
+      }),
+    whenIdle: () => activity.whenIdle(),
+    async close() {
+      clock.clear();
+      await activity.whenIdle();
+    },
+  };
+}
+
+/**
+ * Resolve once `selector` matches in the document, or reject after `timeoutMs`
+ */
+async function waitForSelector(document, selector, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const element = document.querySelector(selector);
+    if (element) return element;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`Timed out waiting for ${selector}`);
+}
+
+module.exports = {
+  readFixture,
+  readJsonFixture,
+  loadContentScript,
+  loadExtensionPage,
+  loadFilmPage,
+  loadBackgroundScript,
+  waitForSelector,
+};
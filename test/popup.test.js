@@ -0,0 +1,59 @@
+/**
+ * The toolbar popup's DTDD search, with DTDD answered from fixtures
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage } = require('./harness');
+
+describe('popup search', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  /**
+   * Show the warnings for Marley & Me as if picked from the search results
+   */
+  async function showMarleyAndMe(sync) {
+    page = loadExtensionPage('popup.html', { sync });
+    await page.whenIdle();
+    page.evaluate('showMediaSummary')(10299);
+    await page.whenIdle();
+    return page.document.getElementById('search-results');
+  }
+
+  function getWarningNames(container) {
+    return [...container.querySelectorAll('.popup-warning-item')].map(
+      (item) => item.dataset.name,
+    );
+  }
+
+  it('lists the pinned topics and the top warnings', async () => {
+    const results = await showMarleyAndMe({ 'dtdd-pinned-topics': [153] });
+
+    const names = getWarningNames(results);
+    assert.equal(names[0], 'a dog dies');
+    assert.ok(names.length > 1);
+    assert.match(results.textContent, /Top warnings/);
+  });
+
+  it('shows only the pinned topics in spoiler-safe mode', async () => {
+    const shown = getWarningNames(
+      await showMarleyAndMe({ 'dtdd-pinned-topics': [153] }),
+    );
+    await page.close();
+
+    const results = await showMarleyAndMe({
+      'dtdd-pinned-topics': [153],
+      'dtdd-spoiler-safe': true,
+    });
+
+    assert.deepEqual(getWarningNames(results), ['a dog dies']);
+    assert.doesNotMatch(results.textContent, /Top warnings/);
+    const hiddenCount = shown.length - 1;
+    assert.match(
+      results.textContent,
+      new RegExp(`${hiddenCount} other warnings? hidden in spoiler-safe mode`),
+    );
+  });
+});
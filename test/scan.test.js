@@ -0,0 +1,184 @@
+/**
+ * The list scan page's input parsing, result sorting and CSV export
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage } = require('./harness');
+
+const TOPICS = [
+  { id: 153, name: 'Does the dog die', isDealbreaker: true },
+  { id: 184, name: 'Are there jump scares', isDealbreaker: false },
+];
+
+function createRow(index, slug, title, year, cells) {
+  const result = cells
+    ? { status: 'matched', mediaId: 100 + index, cells }
+    : { status: 'not-found', mediaId: null, cells: {} };
+  return { index, slug, title, year, ...result };
+}
+
+const ROWS = [
+  createRow(0, 'marley-and-me', 'Marley & Me', '2008', {
+    153: 'yes',
+    184: 'no',
+  }),
+  createRow(1, 'the-thing', 'The "Thing", Uncut', '1982', {
+    153: 'yes',
+    184: 'yes',
+  }),
+  createRow(2, 'unknown-film', 'Unknown Film', '1999', null),
+  createRow(3, 'parasite-2019', 'Parasite', '2019', {
+    153: 'mixed',
+    184: 'unknown',
+  }),
+];
+
+/**
+ * Load the scan page with `scanTopics` and `scanRows` filled in
+ */
+function loadScanResults() {
+  const page = loadExtensionPage('scan.html');
+  page.evaluate(`scanTopics = ${JSON.stringify(TOPICS)}`);
+  page.evaluate(`scanRows = ${JSON.stringify(ROWS)}`);
+  return page;
+}
+
+function getSortedSlugs(page) {
+  return structuredClone(page.evaluate('getSortedRows()')).map(
+    (row) => row.slug,
+  );
+}
+
+describe('List scan input', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  it('reads one list URL as the first page of that list', () => {
+    page = loadExtensionPage('scan.html');
+    const parseScanInput = page.evaluate('parseScanInput');
+    assert.deepEqual(
+      structuredClone(
+        parseScanInput('  letterboxd.com/someone/list/dogs/page/3/  '),
+      ),
+      { listUrl: 'https://letterboxd.com/someone/list/dogs/' },
+    );
+    assert.deepEqual(
+      structuredClone(
+        parseScanInput('https://letterboxd.com/someone/watchlist'),
+      ),
+      { listUrl: 'https://letterboxd.com/someone/watchlist/' },
+    );
+  });
+
+  it('reads film URLs and slugs, without repeats', () => {
+    page = loadExtensionPage('scan.html');
+    const result = page.evaluate('parseScanInput')(
+      'https://letterboxd.com/film/parasite-2019/\n\nmarley-and-me\nwww.letterboxd.com/film/parasite-2019/reviews/\n',
+    );
+    assert.deepEqual(structuredClone(result), {
+      slugs: ['parasite-2019', 'marley-and-me'],
+    });
+  });
+
+  it('rejects more than one list, and lines that are neither', () => {
+    page = loadExtensionPage('scan.html');
+    const parseScanInput = page.evaluate('parseScanInput');
+    assert.equal(
+      parseScanInput(
+        'https://letterboxd.com/film/parasite-2019/\nhttps://letterboxd.com/someone/watchlist/',
+      ).error,
+      'Only one list can be scanned at a time: https://letterboxd.com/someone/watchlist/',
+    );
+    assert.equal(
+      parseScanInput('marley-and-me\nMarley & Me').error,
+      'Not a Letterboxd URL or film slug: Marley & Me',
+    );
+    assert.equal(
+      parseScanInput('https://example.com/film/parasite-2019/').error,
+      'Not a Letterboxd URL or film slug: https://example.com/film/parasite-2019/',
+    );
+  });
+});
+
+describe('List scan results', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  it('keeps list order until a column is sorted', () => {
+    page = loadScanResults();
+    assert.deepEqual(getSortedSlugs(page), [
+      'marley-and-me',
+      'the-thing',
+      'unknown-film',
+      'parasite-2019',
+    ]);
+  });
+
+  it('sorts a column both ways when clicked again', () => {
+    page = loadScanResults();
+    const handleSortClick = page.evaluate('handleSortClick');
+
+    handleSortClick('year');
+    assert.deepEqual(getSortedSlugs(page), [
+      'the-thing',
+      'unknown-film',
+      'marley-and-me',
+      'parasite-2019',
+    ]);
+    handleSortClick('year');
+    assert.deepEqual(getSortedSlugs(page), [
+      'parasite-2019',
+      'marley-and-me',
+      'unknown-film',
+      'the-thing',
+    ]);
+    assert.equal(
+      page.document.querySelector('th[aria-sort]').textContent,
+      'Year ▼',
+    );
+  });
+
+  it('puts the most concerning films first, then films without DTDD data', () => {
+    page = loadScanResults();
+    const handleSortClick = page.evaluate('handleSortClick');
+
+    handleSortClick('topic-184');
+    assert.deepEqual(getSortedSlugs(page), [
+      'the-thing',
+      'parasite-2019',
+      'marley-and-me',
+      'unknown-film',
+    ]);
+    // Ties keep list order
+    handleSortClick('topic-153');
+    assert.deepEqual(getSortedSlugs(page), [
+      'marley-and-me',
+      'the-thing',
+      'parasite-2019',
+      'unknown-film',
+    ]);
+    handleSortClick('confirmed');
+    assert.deepEqual(getSortedSlugs(page), [
+      'the-thing',
+      'marley-and-me',
+      'parasite-2019',
+      'unknown-film',
+    ]);
+  });
+
+  it('exports the sorted rows as CSV', () => {
+    page = loadScanResults();
+    page.evaluate('handleSortClick')('confirmed');
+
+    assert.deepEqual(page.evaluate('buildCsv()').split('\r\n'), [
+      'Film,Year,Letterboxd URL,DTDD URL,Does the dog die,Are there jump scares,Confirmed',
+      '"The ""Thing"", Uncut",1982,https://letterboxd.com/film/the-thing/,https://www.doesthedogdie.com/media/101,Yes,Yes,2',
+      'Marley & Me,2008,https://letterboxd.com/film/marley-and-me/,https://www.doesthedogdie.com/media/100,Yes,No,1',
+      'Parasite,2019,https://letterboxd.com/film/parasite-2019/,https://www.doesthedogdie.com/media/103,Disputed,Unknown,0',
+      'Unknown Film,1999,https://letterboxd.com/film/unknown-film/,,Not on DTDD,Not on DTDD,',
+    ]);
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * The settings migration that upgrades settings saved by older versions, run
+ * through the settings page's copy of the shared schema
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage } = require('./harness');
+
+const VERSION_KEY = 'dtdd-settings-version';
+
+// Settings as saved before they were validated
+const UNVERSIONED_SETTINGS = {
+  'dtdd-pinned-topics': ['153', 153, '184', 'dog', 0],
+  'dtdd-dealbreaker-topics': [312],
+  'dtdd-max-warnings': 80,
+  'dtdd-thresholds': { minVotes: 5, confidenceLevel: 0.75 },
+  'dtdd-topic-thresholds': { 153: 2, dog: 4, 184: 0 },
+  'dtdd-spoiler-safe': 'yes',
+  'dtdd-poster-badges': true,
+};
+
+describe('settings migration', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  function migrateSettings(data, fromVersion) {
+    return structuredClone(
+      page.evaluate('DtddSettings').migrateSettings(data, fromVersion),
+    );
+  }
+
+  it('repairs topic IDs saved as strings or more than once', () => {
+    page = loadExtensionPage('settings.html');
+    const migrated = migrateSettings(UNVERSIONED_SETTINGS);
+    assert.deepEqual(migrated['dtdd-pinned-topics'], [153, 184]);
+    assert.deepEqual(migrated['dtdd-dealbreaker-topics'], [312]);
+    assert.deepEqual(migrated['dtdd-topic-thresholds'], { 153: 2 });
+  });
+
+  it('keeps the maximum warnings within the limit', () => {
+    page = loadExtensionPage('settings.html');
+    const getMaxWarnings = (value) =>
+      migrateSettings({ 'dtdd-max-warnings': value })['dtdd-max-warnings'];
+    assert.equal(getMaxWarnings(80), 50);
+    assert.equal(getMaxWarnings(0), 1);
+    assert.equal(getMaxWarnings('7'), 7);
+    assert.equal(getMaxWarnings('many'), undefined);
+  });
+
+  it('drops invalid values and keeps the valid parts of thresholds', () => {
+    page = loadExtensionPage('settings.html');
+    const migrated = migrateSettings(UNVERSIONED_SETTINGS);
+    assert.equal('dtdd-spoiler-safe' in migrated, false);
+    assert.equal(migrated['dtdd-poster-badges'], true);
+    assert.deepEqual(migrated['dtdd-thresholds'], { minVotes: 5 });
+  });
+
+  it('migrates the settings saved in each profile', () => {
+    page = loadExtensionPage('settings.html');
+    const migrated = migrateSettings({
+      'dtdd-active-profile': 'kids',
+      'dtdd-profiles': {
+        default: { name: 'Default', settings: { 'dtdd-max-warnings': 5 } },
+        kids: {
+          settings: {
+            'dtdd-pinned-topics': ['153', '153'],
+            'dtdd-max-warnings': 99,
+            'dtdd-hidden-topics': 'none',
+          },
+        },
+        broken: 'not a profile',
+      },
+    });
+    assert.deepEqual(migrated['dtdd-profiles'], {
+      default: { name: 'Default', settings: { 'dtdd-max-warnings': 5 } },
+      kids: {
+        name: 'kids',
+        settings: { 'dtdd-pinned-topics': [153], 'dtdd-max-warnings': 50 },
+      },
+    });
+  });
+
+  it('upgrades stored settings and records the version', async () => {
+    page = loadExtensionPage('settings.html', {
+      sync: { ...UNVERSIONED_SETTINGS, 'dtdd-key': 'abc' },
+    });
+    await page.whenIdle();
+
+    await page.evaluate('DtddSettings').migrateStoredSettings();
+
+    assert.deepEqual(page.chrome.storage.sync.items, {
+      'dtdd-pinned-topics': [153, 184],
+      'dtdd-dealbreaker-topics': [312],
+      'dtdd-max-warnings': 50,
+      'dtdd-thresholds': { minVotes: 5 },
+      'dtdd-topic-thresholds': { 153: 2 },
+      'dtdd-poster-badges': true,
+      'dtdd-key': 'abc',
+      [VERSION_KEY]: 1,
+    });
+  });
+
+  it('leaves settings from a newer version alone', async () => {
+    const sync = { 'dtdd-max-warnings': 80, [VERSION_KEY]: 99 };
+    page = loadExtensionPage('settings.html', { sync });
+    await page.whenIdle();
+
+    await page.evaluate('DtddSettings').migrateStoredSettings();
+
+    assert.deepEqual(page.chrome.storage.sync.items, sync);
+  });
+});
@@ -0,0 +1,253 @@
+/**
+ * The settings page's form and Letterboxd history check, with DTDD answered
+ * from fixtures or held back by the test
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadExtensionPage } = require('./harness');
+
+const HISTORY_CHECK_KEY = 'dtdd-history-check';
+
+function createFilm(name, year, status = 'pending') {
+  return { name, year, lists: ['watchlist'], status, mediaId: null, hits: [] };
+}
+
+function getSearchedTitles(chrome) {
+  return chrome.messages
+    .filter(
+      (message) =>
+        message.name === 'DTDD_FETCH' && message.url.includes('/dddsearch'),
+    )
+    .map((message) => new URL(message.url).searchParams.get('q'));
+}
+
+/**
+ * Resolve once `condition()` is true, or reject after `timeoutMs`
+ */
+async function waitUntil(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Click Resume and wait for the check it starts to finish
+ * The first films are looked up at once, so the check can be over before
+ * it's seen running; wait for its searches instead
+ */
+async function resumeHistoryCheck(page) {
+  page.document.getElementById('history-resume').click();
+  await waitUntil(
+    () =>
+      getSearchedTitles(page.chrome).length > 0 && !page.evaluate('historyRun'),
+  );
+  await page.whenIdle();
+}
+
+/**
+ * Load the settings page and wait until its inputs are wired up, which is
+ * once the topic list has loaded
+ */
+async function loadSettingsPage(options) {
+  const page = loadExtensionPage('settings.html', options);
+  const topicsLoading = page.document.getElementById('topics-loading');
+  await waitUntil(() => topicsLoading.style.display === 'none');
+  await page.whenIdle();
+  return page;
+}
+
+async function changeInput(page, input, value) {
+  input.value = value;
+  input.dispatchEvent(new page.window.Event('change', { bubbles: true }));
+  await page.whenIdle();
+}
+
+describe('Settings form', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  it('keeps the maximum warnings within the schema limit', async () => {
+    page = await loadSettingsPage();
+    const input = page.document.getElementById('max-warnings');
+
+    await changeInput(page, input, '80');
+
+    assert.equal(page.chrome.storage.sync.items['dtdd-max-warnings'], 50);
+    assert.equal(input.value, '50');
+  });
+
+  it('saves only thresholds the schema accepts', async () => {
+    page = await loadSettingsPage();
+    const input = page.document.getElementById('confidence-threshold');
+
+    await changeInput(page, input, '100');
+    assert.equal('dtdd-thresholds' in page.chrome.storage.sync.items, false);
+
+    await changeInput(page, input, '75');
+    assert.deepEqual(page.chrome.storage.sync.items['dtdd-thresholds'], {
+      minVotes: 3,
+      minVotesSensitive: 1,
+      confidenceLevel: 0.9,
+      confidenceThreshold: 0.75,
+    });
+  });
+
+  it("saves a topic's minimum votes", async () => {
+    page = await loadSettingsPage({
+      onMessage: (message) =>
+        message.name === 'DTDD_FETCH' && message.url.endsWith('/categories')
+          ? {
+              error: null,
+              errorCode: null,
+              data: [{ id: 153, name: 'a dog dies', TopicCategory: null }],
+            }
+          : undefined,
+    });
+    const input = page.document.querySelector(
+      '[data-topic-id="153"] .topic-min-votes',
+    );
+
+    await changeInput(page, input, '10');
+
+    assert.deepEqual(page.chrome.storage.sync.items['dtdd-topic-thresholds'], {
+      153: 10,
+    });
+  });
+});
+
+describe('Letterboxd export files', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  it('parses quoted commas, quotes and line breaks', () => {
+    page = loadExtensionPage('settings.html');
+    const rows = page.evaluate('parseCsv')(
+      'Name,Year\r\n"Crouching Tiger, Hidden Dragon",2000\r\n"The ""Thing""",1982\n"Line\nbreak",2001',
+    );
+    assert.deepEqual(structuredClone(rows), [
+      ['Name', 'Year'],
+      ['Crouching Tiger, Hidden Dragon', '2000'],
+      ['The "Thing"', '1982'],
+      ['Line\nbreak', '2001'],
+    ]);
+  });
+
+  it('reads the films from an export with a byte order mark', () => {
+    page = loadExtensionPage('settings.html');
+    const films = page.evaluate('readLetterboxdExport')(
+      '\uFEFFDate,Name,Year,Letterboxd URI\n2024-01-02,Parasite,2019,https://boxd.it/hTha\n,,,\n2024-01-03,Unknown Year,,https://boxd.it/x\n',
+    );
+    assert.deepEqual(structuredClone(films), [
+      { name: 'Parasite', year: '2019' },
+      { name: 'Unknown Year', year: null },
+    ]);
+  });
+
+  it("rejects files without the export's Name and Year columns", () => {
+    page = loadExtensionPage('settings.html');
+    const readLetterboxdExport = page.evaluate('readLetterboxdExport');
+    assert.equal(readLetterboxdExport('Title,Year\nParasite,2019'), null);
+    assert.equal(readLetterboxdExport('Name\nParasite'), null);
+    assert.equal(readLetterboxdExport(''), null);
+  });
+});
+
+describe('Letterboxd history check', () => {
+  let page;
+
+  afterEach(() => page?.close());
+
+  it('resumes with only the films not checked yet', async () => {
+    const matched = {
+      ...createFilm('Marley & Me', '2008', 'matched'),
+      mediaId: 10299,
+      hits: [153],
+    };
+    page = loadExtensionPage('settings.html', {
+      sync: { 'dtdd-pinned-topics': [153] },
+      local: {
+        [HISTORY_CHECK_KEY]: {
+          files: ['watchlist.csv'],
+          startedAt: '2026-10-01T00:00:00.000Z',
+          films: [
+            matched,
+            createFilm('Parasite', '1982', 'error'),
+            createFilm('Parasite', '2019'),
+          ],
+        },
+      },
+    });
+    const resume = page.document.getElementById('history-resume');
+    await waitUntil(() => !resume.hidden);
+    // The buttons are wired up once the page has finished loading
+    await page.whenIdle();
+
+    await resumeHistoryCheck(page);
+
+    assert.deepEqual(getSearchedTitles(page.chrome), ['Parasite', 'Parasite']);
+    const { films } = page.chrome.storage.local.items[HISTORY_CHECK_KEY];
+    assert.deepEqual(films[0], matched);
+    // Parasite (1982) is searched again but has no media fixture, so it
+    // fails again
+    assert.deepEqual(
+      films.map((film) => film.status),
+      ['matched', 'error', 'not-found'],
+    );
+  });
+
+  it('checks no film twice when resumed after a stop', async () => {
+    // Searches are held until the test lets them answer
+    const heldSearches = [];
+    page = loadExtensionPage('settings.html', {
+      sync: { 'dtdd-pinned-topics': [153] },
+      local: {
+        [HISTORY_CHECK_KEY]: {
+          files: ['watchlist.csv'],
+          startedAt: '2026-10-01T00:00:00.000Z',
+          films: ['One', 'Two', 'Three'].map((name) =>
+            createFilm(name, '2000'),
+          ),
+        },
+      },
+      onMessage: (message) =>
+        message.name === 'DTDD_FETCH' && message.url.includes('/dddsearch')
+          ? new Promise((resolve) => {
+              heldSearches.push(() =>
+                resolve({ error: null, errorCode: null, data: { items: [] } }),
+              );
+            })
+          : undefined,
+    });
+    const { document } = page;
+    const resume = document.getElementById('history-resume');
+    await waitUntil(() => !resume.hidden);
+    // The buttons are wired up once the page has finished loading
+    await page.whenIdle();
+
+    resume.click();
+    await waitUntil(() => heldSearches.length === 2);
+    document.getElementById('history-stop').click();
+    assert.equal(resume.hidden, true);
+
+    for (const answer of heldSearches.splice(0)) answer();
+    await waitUntil(() => !resume.hidden);
+    resume.click();
+    await waitUntil(() => heldSearches.length === 1);
+    heldSearches.pop()();
+    await waitUntil(() => !page.evaluate('historyRun'));
+    await page.whenIdle();
+    assert.equal(resume.hidden, true);
+
+    assert.deepEqual(getSearchedTitles(page.chrome), ['One', 'Two', 'Three']);
+    const { films } = page.chrome.storage.local.items[HISTORY_CHECK_KEY];
+    assert.deepEqual(
+      films.map((film) => film.status),
+      ['not-found', 'not-found', 'not-found'],
+    );
+  });
+});
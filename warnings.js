@@ -0,0 +1,298 @@
+/**
+ * Letterboxd DTDD Integration - Warnings
+ * Categorizes DTDD topic votes and picks the warnings to show for a film,
+ * shared by the film page panel and the toolbar popup
+ */
+
+const DtddWarnings = (function () {
+  'use strict';
+
+  const { STORAGE_KEYS, DEFAULTS } = DtddSettings;
+
+  // Warning category values (returned by categorizeWarning)
+  const WARNING_CATEGORY = {
+    YES: 'yes', // Confident or raw majority yes
+    NO: 'no', // Confident or raw majority no
+    MIXED: 'mixed', // Equal yes and no votes
+    UNKNOWN: 'unknown', // Not enough votes to determine
+  };
+
+  // Sort order for warning categories (lower = higher priority in list)
+  // Sensitive topics get a bonus (-10) to appear first
+  const WARNING_SORT_ORDER = {
+    [WARNING_CATEGORY.YES]: 0,
+    [WARNING_CATEGORY.NO]: 1,
+    [WARNING_CATEGORY.MIXED]: 2,
+    [WARNING_CATEGORY.UNKNOWN]: 2,
+  };
+  const SENSITIVE_SORT_BONUS = -10; // Subtracted from sort order for sensitive topics
+
+  // Two-sided z-scores for the confidence levels offered in settings
+  const CONFIDENCE_Z_SCORES = {
+    0.8: 1.282,
+    0.9: 1.645,
+    0.95: 1.96,
+    0.99: 2.576,
+  };
+
+  const DEFAULT_THRESHOLDS = {
+    ...DtddSettings.DEFAULT_THRESHOLDS,
+    topicMinVotes: {}, // { [topicId]: minVotes } - per-topic overrides
+  };
+
+  // Settings that decide which warnings are shown
+  const WARNING_SETTING_KEYS = [
+    STORAGE_KEYS.PINNED_TOPICS,
+    STORAGE_KEYS.DEALBREAKER_TOPICS,
+    STORAGE_KEYS.HIDDEN_TOPICS,
+    STORAGE_KEYS.MAX_WARNINGS,
+    STORAGE_KEYS.THRESHOLDS,
+    STORAGE_KEYS.TOPIC_THRESHOLDS,
+    STORAGE_KEYS.GROUP_WATCH,
+    STORAGE_KEYS.PROFILES,
+  ];
+
+  function log(...args) {
+    console.debug('[DTDD]', ...args);
+  }
+
+  /**
+   * Merge stored global and per-topic thresholds over the defaults
+   */
+  function resolveThresholds(storageData) {
+    return {
+      ...DEFAULT_THRESHOLDS,
+      ...storageData[STORAGE_KEYS.THRESHOLDS],
+      topicMinVotes: storageData[STORAGE_KEYS.TOPIC_THRESHOLDS] || {},
+    };
+  }
+
+  /**
+   * Topic IDs stored under a key for the active profile, or in group watch
+   * mode the union across every profile
+   * Inactive profiles keep their settings in `dtdd-profiles`; the active
+   * one's are in the top-level keys
+   */
+  function getTopicIds(storageData, storageKey) {
+    const topicIds = new Set(storageData[storageKey] || []);
+    if (!storageData[STORAGE_KEYS.GROUP_WATCH]) return topicIds;
+
+    const profiles = Object.values(storageData[STORAGE_KEYS.PROFILES] || {});
+    for (const profile of profiles) {
+      for (const topicId of profile.settings?.[storageKey] || []) {
+        topicIds.add(topicId);
+      }
+    }
+    return topicIds;
+  }
+
+  /**
+   * Read the settings that decide which warnings are shown from sync storage
+   * data fetched with WARNING_SETTING_KEYS
+   */
+  function getWarningSettings(storageData) {
+    return {
+      pinnedIds: getTopicIds(storageData, STORAGE_KEYS.PINNED_TOPICS),
+      dealbreakerIds: getTopicIds(storageData, STORAGE_KEYS.DEALBREAKER_TOPICS),
+      hiddenIds: new Set(storageData[STORAGE_KEYS.HIDDEN_TOPICS] || []),
+      maxWarnings:
+        storageData[STORAGE_KEYS.MAX_WARNINGS] ??
+        DEFAULTS[STORAGE_KEYS.MAX_WARNINGS],
+      thresholds: resolveThresholds(storageData),
+    };
+  }
+
+  /**
+   * Calculate Wilson Score confidence interval bounds
+   * Returns { lower, upper } representing the confidence interval for the true "yes" proportion
+   *
+   * @see https://en.wikipedia.org/wiki/Binomial_proportion_confidence_interval#Wilson_score_interval
+   */
+  function wilsonScore(
+    yesCount,
+    totalCount,
+    z = CONFIDENCE_Z_SCORES[DEFAULT_THRESHOLDS.confidenceLevel],
+  ) {
+    if (totalCount === 0) return { lower: 0, upper: 0 };
+
+    const p = yesCount / totalCount;
+    const n = totalCount;
+
+    const denominator = 1 + (z * z) / n;
+    const center = p + (z * z) / (2 * n);
+    const spread = z * Math.sqrt((p * (1 - p) + (z * z) / (4 * n)) / n);
+
+    const lower = (center - spread) / denominator;
+    const upper = (center + spread) / denominator;
+
+    return {
+      lower: Math.max(0, lower),
+      upper: Math.min(1, upper),
+    };
+  }
+
+  /**
+   * Categorize a topic stat using Wilson Score confidence intervals
+   *
+   * Logic:
+   * 1. If total votes < minimum threshold → unknown (per-topic override, else lower for sensitive topics)
+   * 2. If Wilson lower bound > majority threshold (50%) → confident yes
+   * 3. If Wilson upper bound < majority threshold (50%) → confident no
+   * 4. Otherwise fall back to raw majority (yesSum vs noSum)
+   * 5. If exactly equal → mixed
+   */
+  function categorizeWarning(stat, thresholds = DEFAULT_THRESHOLDS) {
+    const { yesSum, noSum } = stat;
+    const totalVotes = yesSum + noSum;
+    const isSensitive = stat.topic?.isSensitive ?? false;
+    const topicName =
+      stat.topic?.doesName || stat.topic?.name || 'unknown topic';
+
+    // Per-topic override first, then the lower threshold for sensitive topics
+    const minVotes =
+      thresholds.topicMinVotes[stat.topic?.id] ??
+      (isSensitive ? thresholds.minVotesSensitive : thresholds.minVotes);
+
+    // Not enough data
+    if (totalVotes < minVotes) {
+      log(
+        `"${topicName}" -> ${WARNING_CATEGORY.UNKNOWN} (${totalVotes} votes < ${minVotes} minimum${isSensitive ? ', sensitive' : ''})`,
+      );
+      return WARNING_CATEGORY.UNKNOWN;
+    }
+
+    const { lower, upper } = wilsonScore(
+      yesSum,
+      totalVotes,
+      CONFIDENCE_Z_SCORES[thresholds.confidenceLevel] ??
+        CONFIDENCE_Z_SCORES[DEFAULT_THRESHOLDS.confidenceLevel],
+    );
+    const { confidenceThreshold } = thresholds;
+    const thresholdPercent = (confidenceThreshold * 100).toFixed(0);
+
+    let result;
+    let reason;
+
+    if (lower > confidenceThreshold) {
+      // Statistically confident majority yes
+      result = WARNING_CATEGORY.YES;
+      reason = `wilson lower ${(lower * 100).toFixed(0)}% > ${thresholdPercent}%`;
+    } else if (upper < confidenceThreshold) {
+      // Statistically confident majority no
+      result = WARNING_CATEGORY.NO;
+      reason = `wilson upper ${(upper * 100).toFixed(0)}% < ${thresholdPercent}%`;
+    } else if (yesSum > noSum) {
+      // Uncertain but leans yes
+      result = WARNING_CATEGORY.YES;
+      reason = `raw majority (${yesSum} > ${noSum})`;
+    } else if (noSum > yesSum) {
+      // Uncertain but leans no
+      result = WARNING_CATEGORY.NO;
+      reason = `raw majority (${noSum} > ${yesSum})`;
+    } else {
+      // Exactly split
+      result = WARNING_CATEGORY.MIXED;
+      reason = 'equal votes';
+    }
+
+    log(
+      `"${topicName}" -> ${result} (yes: ${yesSum}, no: ${noSum}, ${reason}${isSensitive ? ', sensitive' : ''})`,
+    );
+    return result;
+  }
+
+  /**
+   * Get sort order for a topic stat (lower = higher priority)
+   * Sensitive topics get a bonus to appear first
+   */
+  function getWarningSortOrder(stat, thresholds = DEFAULT_THRESHOLDS) {
+    const category = categorizeWarning(stat, thresholds);
+    const isSensitive = stat.topic?.isSensitive ?? false;
+    const baseOrder = WARNING_SORT_ORDER[category] ?? 2;
+    return isSensitive ? baseOrder + SENSITIVE_SORT_BONUS : baseOrder;
+  }
+
+  /**
+   * Pick a film's warnings: pinned and dealbreaker topics whatever their
+   * votes, then up to `maxWarnings` other confirmed topics that aren't hidden
+   * Pinned topics are sorted sensitive first, then by category and yes votes;
+   * the others sensitive first, then by yes votes
+   */
+  function selectWarnings(
+    topics,
+    {
+      pinnedIds = new Set(),
+      dealbreakerIds = new Set(),
+      hiddenIds = new Set(),
+      maxWarnings = DEFAULTS[STORAGE_KEYS.MAX_WARNINGS],
+      thresholds = DEFAULT_THRESHOLDS,
+    } = {},
+  ) {
+    const isPinned = (t) =>
+      pinnedIds.has(t.topic?.id) || dealbreakerIds.has(t.topic?.id);
+
+    const pinnedTopics = topics.filter(isPinned).sort((a, b) => {
+      const aOrder = getWarningSortOrder(a, thresholds);
+      const bOrder = getWarningSortOrder(b, thresholds);
+      if (aOrder !== bOrder) return aOrder - bOrder;
+      return b.yesSum - a.yesSum;
+    });
+
+    const yesTopics = topics
+      .filter(
+        (t) =>
+          !isPinned(t) &&
+          !hiddenIds.has(t.topic?.id) &&
+          categorizeWarning(t, thresholds) === WARNING_CATEGORY.YES,
+      )
+      .sort((a, b) => {
+        const aSensitive = a.topic?.isSensitive ?? false;
+        const bSensitive = b.topic?.isSensitive ?? false;
+        if (aSensitive !== bSensitive) return bSensitive - aSensitive;
+        return b.yesSum - a.yesSum;
+      })
+      .slice(0, maxWarnings);
+
+    return { pinnedTopics, yesTopics };
+  }
+
+  /**
+   * Plain summary of a film's selected warnings, for showing outside the
+   * panel or sending between scripts
+   */
+  function summarizeWarnings(topics, settings = {}) {
+    const { pinnedTopics, yesTopics } = selectWarnings(topics, settings);
+    const { dealbreakerIds = new Set(), thresholds = DEFAULT_THRESHOLDS } =
+      settings;
+    const summarize = (t) => ({
+      id: t.topic?.id,
+      name: t.topic?.name?.toLowerCase() ?? '',
+      category: categorizeWarning(t, thresholds),
+      yesSum: t.yesSum,
+      noSum: t.noSum,
+      isSensitive: t.topic?.isSensitive ?? false,
+      isDealbreaker: dealbreakerIds.has(t.topic?.id),
+    });
+
+    return {
+      pinned: pinnedTopics.map(summarize),
+      warnings: yesTopics.map(summarize),
+      topicCount: topics.length,
+    };
+  }
+
+  return Object.freeze({
+    WARNING_CATEGORY,
+    CONFIDENCE_Z_SCORES,
+    DEFAULT_THRESHOLDS,
+    WARNING_SETTING_KEYS,
+    resolveThresholds,
+    getTopicIds,
+    getWarningSettings,
+    wilsonScore,
+    categorizeWarning,
+    getWarningSortOrder,
+    selectWarnings,
+    summarizeWarnings,
+  });
+})();